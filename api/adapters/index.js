@@ -0,0 +1,85 @@
+const { logError } = require('../utils/logger');
+const makeFormAdapter = require('./make-form');
+const legacyAppointmentAdapter = require('./legacy-appointment');
+const nubimedJsonAdapter = require('./nubimed-json');
+const { isObject } = require('./utils');
+
+// Checked in order, nubimed_json is the catch-all for JSON objects
+const ADAPTERS = [
+  makeFormAdapter,
+  legacyAppointmentAdapter,
+  nubimedJsonAdapter
+];
+
+function payloadError(message, code) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Decode JSON bodies that reached us as a Buffer or string
+ */
+function decodeBody(body) {
+  if (!Buffer.isBuffer(body) && typeof body !== 'string') {
+    return body;
+  }
+
+  const text = body.toString();
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    logError('JSON_PARSE_ERROR', {
+      error: parseError.message,
+      rawBody: text.substring(0, 500)
+    });
+    throw payloadError('Invalid JSON format', 'INVALID_JSON');
+  }
+}
+
+/**
+ * Convert any supported inbound body into a canonical NubimedEvent
+ * Throws an error with status 400 when the body cannot be decoded
+ * @param {*} body - req.body as parsed by express
+ * @param {Object} options
+ * @param {string} [options.contentType]
+ * @param {string} [options.receivedAt]
+ * @param {string} [options.defaultType] - Event type to use when the payload has no name
+ * @returns {import('../models/nubimed-event').NubimedEvent}
+ */
+function normalizeNubimedEvent(body, { contentType = '', receivedAt, defaultType } = {}) {
+  const payload = decodeBody(body);
+
+  if (!isObject(payload)) {
+    throw payloadError('Invalid payload structure', 'INVALID_PAYLOAD');
+  }
+
+  const adapter = ADAPTERS.find(candidate => candidate.matches(payload, contentType));
+  return adapter.toCanonical(payload, { receivedAt, defaultType });
+}
+
+/**
+ * Split a batch delivery into its items: a JSON array of events or an { events: [...] } envelope
+ * Returns null for single-event bodies
+ * @returns {Array|null}
+ */
+function extractBatch(body) {
+  const payload = decodeBody(body);
+
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+
+  if (isObject(payload) && Array.isArray(payload.events) && payload.name === undefined && payload.data === undefined) {
+    return payload.events;
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeNubimedEvent,
+  extractBatch,
+  ADAPTERS
+};
@@ -0,0 +1,66 @@
+const { createNubimedEvent, pick } = require('../models/nubimed-event');
+const { isObject } = require('./utils');
+
+/**
+ * Adapter for the legacy appointment shape:
+ * { event_type: "appointment.updated", appointment: { id, date, status, patient }, changes, previous_date, ... }
+ */
+const legacyAppointmentAdapter = {
+  name: 'legacy_appointment',
+
+  matches(payload) {
+    if (!isObject(payload) || isObject(payload.data)) return false;
+    return isObject(payload.appointment) || Boolean(payload.event_type || payload.event || payload.action);
+  },
+
+  toCanonical(payload, context = {}) {
+    const appointment = isObject(payload.appointment) ? payload.appointment : payload;
+    const patient = isObject(appointment.patient) ? appointment.patient : (isObject(payload.patient) ? payload.patient : {});
+
+    const primaryPatient = {
+      id: patient.id,
+      firstName: pick(patient.name, patient.firstName, payload.patient_name, payload.firstName),
+      lastName: pick(patient.surname, patient.lastName, patient.last_name, payload.patient_lastName, payload.lastName),
+      phone: pick(patient.phone, payload.patient_phone, payload.phone),
+      email: pick(patient.email, payload.patient_email, payload.email),
+      address: pick(patient.address, appointment.address),
+      city: pick(patient.city, appointment.city),
+      province: pick(patient.province, appointment.province),
+      postalCode: pick(patient.postal_code, patient.postalCode),
+      country: pick(patient.country, appointment.country),
+      birthDate: pick(patient.birth_date, patient.birthDate),
+      nin: patient.nin,
+      sex: patient.sex
+    };
+    const hasPatient = primaryPatient.firstName || primaryPatient.phone || primaryPatient.email;
+
+    return createNubimedEvent({
+      type: pick(payload.name, payload.event_type, payload.event, payload.action, context.defaultType),
+      source: context.source || legacyAppointmentAdapter.name,
+      contactId: payload.contact_id,
+      booking: {
+        id: pick(appointment.id, payload.id, payload.booking_id),
+        status: pick(appointment.status, payload.status),
+        startAt: pick(appointment.start_at, appointment.startAt, appointment.date, appointment.datetime, payload.date, payload.datetime),
+        endAt: pick(appointment.end_at, appointment.endAt, appointment.end_date),
+        previousStartAt: pick(appointment.previous_date, payload.previous_date),
+        previousStatus: payload.previous_status,
+        comment: pick(appointment.comment, appointment.notes),
+        updatedAt: pick(appointment.updated_at, appointment.updatedAt, payload.updated_at)
+      },
+      patients: hasPatient ? [primaryPatient] : [],
+      doctor: isObject(appointment.doctor) ? {
+        id: appointment.doctor.id,
+        firstName: appointment.doctor.name,
+        lastName: appointment.doctor.surname
+      } : null,
+      center: null,
+      changes: isObject(payload.changes) ? payload.changes : null,
+      receivedAt: context.receivedAt,
+      deliveredAt: pick(payload.timestamp, payload.sent_at, payload.delivered_at),
+      raw: payload
+    });
+  }
+};
+
+module.exports = legacyAppointmentAdapter;
@@ -0,0 +1,74 @@
+const { logError, logWebhook } = require('../utils/logger');
+const nubimedJsonAdapter = require('./nubimed-json');
+const legacyAppointmentAdapter = require('./legacy-appointment');
+const { isObject } = require('./utils');
+
+/**
+ * Adapter for Make scenarios posting application/x-www-form-urlencoded bodies:
+ * - data: main data object (JSON string or object) with center, doctor, booking, ...
+ * - name: event name (separate field)
+ * - contact_id: GHL contact ID, when the scenario already resolved it
+ */
+const makeFormAdapter = {
+  name: 'make_form',
+
+  matches(body, contentType = '') {
+    return contentType.includes('application/x-www-form-urlencoded');
+  },
+
+  /**
+   * Rebuild the Nubimed { name, data, contact_id } structure from the form fields
+   */
+  unwrap(body) {
+    logWebhook('FORM_ENCODED_RECEIVED', {
+      formFields: Object.keys(body),
+      samplePayload: JSON.stringify(body).substring(0, 500)
+    });
+
+    // If no 'data' field, form fields might contain the structure directly
+    if (body.data === undefined) {
+      logWebhook('FORM_DATA_NO_DATA_FIELD', {
+        payloadKeys: Object.keys(body),
+        payload: body
+      });
+      return body;
+    }
+
+    let data = body.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (parseError) {
+        logError('FORM_DATA_PARSE_ERROR', {
+          error: parseError.message,
+          dataField: data.substring(0, 200)
+        });
+        data = null;
+      }
+    }
+
+    const payload = {
+      name: body.name || (isObject(data) ? data.name : undefined),
+      data: isObject(data) ? data : {}
+    };
+    if (body.contact_id) {
+      payload.contact_id = body.contact_id;
+    }
+
+    logWebhook('FORM_DATA_PARSED', {
+      name: payload.name,
+      hasBooking: !!payload.data.booking,
+      hasPatients: !!(payload.data.booking && payload.data.booking.patients)
+    });
+
+    return payload;
+  },
+
+  toCanonical(body, context = {}) {
+    const payload = makeFormAdapter.unwrap(body);
+    const innerAdapter = legacyAppointmentAdapter.matches(payload) ? legacyAppointmentAdapter : nubimedJsonAdapter;
+    return innerAdapter.toCanonical(payload, { ...context, source: makeFormAdapter.name });
+  }
+};
+
+module.exports = makeFormAdapter;
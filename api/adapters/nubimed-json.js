@@ -0,0 +1,209 @@
+const { createNubimedEvent, pick } = require('../models/nubimed-event');
+const { isObject, hasAnyField, firstArray } = require('./utils');
+
+// Fields that mark a flat payload (no data.booking) as carrying booking data
+const FLAT_BOOKING_FIELDS = ['start_at', 'startAt', 'date', 'datetime', 'booking_id', 'deleted_booking_id'];
+
+/**
+ * Map a raw Nubimed patient object, using booking/data/payload level fields as fallbacks
+ */
+function mapPatient(patient, fallbacks = []) {
+  const sources = [patient, ...fallbacks].filter(isObject);
+  const field = (...names) => pick(...sources.flatMap(source => names.map(name => source[name])));
+
+  return {
+    id: patient.id,
+    firstName: pick(patient.name, patient.firstName),
+    lastName: pick(patient.surname, patient.lastName, patient.last_name),
+    phone: field('phone'),
+    email: field('email'),
+    address: field('address'),
+    city: field('city'),
+    province: field('province'),
+    postalCode: field('postal_code', 'postalCode'),
+    country: field('country'),
+    birthDate: field('birth_date', 'birthDate'),
+    nin: field('nin'),
+    sex: field('sex')
+  };
+}
+
+function mapLines(source) {
+  return firstArray(source.lines, source.items, source.concepts, source.treatments).filter(isObject).map(line => ({
+    description: pick(line.description, line.concept, line.name, line.treatment),
+    quantity: pick(line.quantity, line.units),
+    unitPrice: pick(line.unit_price, line.unitPrice, line.price),
+    amount: pick(line.total, line.amount)
+  }));
+}
+
+/**
+ * Map a raw Nubimed invoice (data.invoice) to the canonical fields
+ */
+function mapInvoice(invoice) {
+  return {
+    id: pick(invoice.id, invoice.invoice_id),
+    number: pick(invoice.number, invoice.invoice_number, invoice.numero),
+    date: pick(invoice.date, invoice.issue_date, invoice.issued_at, invoice.created_at),
+    amount: pick(invoice.total, invoice.amount, invoice.total_amount),
+    currency: invoice.currency,
+    paid: invoice.paid !== undefined ? invoice.paid : invoice.is_paid,
+    status: invoice.status,
+    items: mapLines(invoice)
+  };
+}
+
+/**
+ * Map a raw Nubimed budget (data.budget) to the canonical fields
+ */
+function mapBudget(budget) {
+  const treatment = isObject(budget.treatment) ? budget.treatment.name : budget.treatment;
+  return {
+    id: pick(budget.id, budget.budget_id),
+    number: pick(budget.number, budget.budget_number, budget.numero),
+    date: pick(budget.date, budget.created_at, budget.issued_at),
+    status: pick(budget.status, budget.state, budget.estado),
+    amount: pick(budget.total, budget.amount, budget.total_amount),
+    currency: budget.currency,
+    treatment: pick(treatment, budget.treatment_name, budget.name, budget.title),
+    items: mapLines(budget)
+  };
+}
+
+/**
+ * Map a raw Nubimed treatment (data.treatment) to the canonical fields
+ */
+function mapTreatment(treatment) {
+  const type = isObject(treatment.type) ? pick(treatment.type.code, treatment.type.name) : treatment.type;
+  return {
+    id: pick(treatment.id, treatment.treatment_id),
+    name: pick(treatment.name, treatment.treatment_name, treatment.description),
+    type: pick(type, treatment.treatment_type, treatment.type_code, treatment.category),
+    completedAt: pick(treatment.completed_at, treatment.completedAt, treatment.finished_at, treatment.end_date, treatment.date)
+  };
+}
+
+function mapCenter(center) {
+  if (center === undefined || center === null || center === '') return null;
+  if (!isObject(center)) return { id: center };
+  return { id: center.id, name: center.name };
+}
+
+/**
+ * Adapter for the direct Nubimed callback shape:
+ * { name, contact_id?, data: { center, doctor, booking: { id, start_at, status, patients: [...] } } }
+ * Invoice events carry data.invoice: { id, number, date, total, paid, lines: [...], patient }
+ * Budget events carry data.budget: { id, number, status, total, treatment, lines: [...], doctor, patient }
+ * Treatment events carry data.treatment: { id, name, type, completed_at, doctor, patient }
+ * Also accepts flat payloads where booking fields sit at the top level
+ */
+const nubimedJsonAdapter = {
+  name: 'nubimed_json',
+
+  matches(payload) {
+    return isObject(payload);
+  },
+
+  toCanonical(payload, context = {}) {
+    const data = isObject(payload.data) ? payload.data : payload;
+    let booking = null;
+    if (isObject(data.booking)) {
+      booking = data.booking;
+    } else if (hasAnyField(data, FLAT_BOOKING_FIELDS) || hasAnyField(payload, FLAT_BOOKING_FIELDS)) {
+      booking = data;
+    }
+    const bookingFields = booking || {};
+    const invoice = isObject(data.invoice) ? data.invoice : null;
+    const budget = isObject(data.budget) ? data.budget : null;
+    const treatment = isObject(data.treatment) ? data.treatment : null;
+
+    // Patient: booking.patients[] is the usual structure, the rest are fallbacks
+    const rawPatients = firstArray(bookingFields.patients, data.patients);
+    const singlePatient = bookingFields.patient || data.patient || (invoice && invoice.patient) || (budget && budget.patient) || (treatment && treatment.patient) || payload.patient;
+    const patients = rawPatients.length > 0 ? rawPatients : (isObject(singlePatient) ? [singlePatient] : []);
+
+    // Flat/legacy patient fields on the payload (patient_phone, patient_email, ...)
+    const payloadPatientFields = {
+      name: payload.patient_name || payload.firstName,
+      lastName: payload.patient_lastName || payload.lastName,
+      phone: payload.patient_phone || payload.phone,
+      email: payload.patient_email || payload.email
+    };
+    const flatPatientFields = {
+      name: bookingFields.patient_name,
+      lastName: bookingFields.patient_lastName
+    };
+
+    let mappedPatients = patients.map((patient, index) => {
+      if (index > 0) return mapPatient(patient);
+      const mapped = mapPatient(patient, [payloadPatientFields, bookingFields, data]);
+      mapped.firstName = pick(mapped.firstName, payloadPatientFields.name, flatPatientFields.name);
+      mapped.lastName = pick(mapped.lastName, payloadPatientFields.lastName, flatPatientFields.lastName);
+      return mapped;
+    });
+
+    if (mappedPatients.length === 0) {
+      const fallbackPatient = mapPatient({}, [payloadPatientFields, bookingFields, data]);
+      fallbackPatient.firstName = pick(payloadPatientFields.name, flatPatientFields.name);
+      fallbackPatient.lastName = pick(payloadPatientFields.lastName, flatPatientFields.lastName);
+      if (fallbackPatient.firstName || fallbackPatient.phone || fallbackPatient.email) {
+        mappedPatients = [fallbackPatient];
+      }
+    }
+
+    const doctor = data.doctor || bookingFields.doctor || (budget && budget.doctor) || (treatment && treatment.doctor);
+
+    return createNubimedEvent({
+      type: pick(payload.name, bookingFields.name, data.name, payload.event_type, payload.event, payload.action, context.defaultType),
+      source: context.source || nubimedJsonAdapter.name,
+      contactId: pick(payload.contact_id, data.contact_id),
+      booking: booking || data.deleted_booking_id || payload.deleted_booking_id || payload.booking_id ? {
+        id: pick(
+          bookingFields.id,
+          data.booking_id,
+          data.deleted_booking_id,
+          payload.booking_id,
+          payload.deleted_booking_id
+        ),
+        status: bookingFields.status !== undefined ? bookingFields.status : pick(payload.status, data.status),
+        startAt: pick(
+          bookingFields.start_at,
+          bookingFields.startAt,
+          data.start_at,
+          data.startAt,
+          bookingFields.date,
+          bookingFields.datetime,
+          payload.date,
+          payload.datetime,
+          data.date
+        ),
+        endAt: pick(bookingFields.end_at, bookingFields.endAt, data.end_at, data.endAt, bookingFields.end_date),
+        previousStartAt: pick(
+          bookingFields.previous_start_at,
+          bookingFields.previousStartAt,
+          payload.previous_date,
+          data.previous_start_at
+        ),
+        previousStatus: pick(payload.previous_status, data.previous_status),
+        comment: pick(bookingFields.comment, data.comment, bookingFields.notes, data.notes),
+        updatedAt: pick(bookingFields.updated_at, bookingFields.updatedAt, data.updated_at, data.updatedAt)
+      } : null,
+      patients: mappedPatients,
+      doctor: isObject(doctor) ? {
+        id: doctor.id,
+        firstName: doctor.name,
+        lastName: doctor.surname
+      } : null,
+      center: mapCenter(data.center),
+      invoice: invoice ? mapInvoice(invoice) : null,
+      budget: budget ? mapBudget(budget) : null,
+      treatment: treatment ? mapTreatment(treatment) : null,
+      changes: isObject(payload.changes) ? payload.changes : null,
+      receivedAt: context.receivedAt,
+      deliveredAt: pick(payload.timestamp, payload.sent_at, payload.delivered_at, data.timestamp),
+      raw: payload
+    });
+  }
+};
+
+module.exports = nubimedJsonAdapter;
@@ -0,0 +1,20 @@
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasAnyField(source, fields) {
+  return isObject(source) && fields.some(field => source[field] !== undefined && source[field] !== null && source[field] !== '');
+}
+
+/**
+ * First non-empty array found
+ */
+function firstArray(...values) {
+  return values.find(value => Array.isArray(value) && value.length > 0) || [];
+}
+
+module.exports = {
+  isObject,
+  hasAnyField,
+  firstArray
+};
@@ -0,0 +1,16 @@
+/**
+ * Handler for Nubimed callbacks that are recognized but not synced to GHL (yet)
+ * They are answered as "ignored" with an explicit reason instead of being treated as unknown
+ */
+function createAcknowledgeHandler({ name, description, events }) {
+  return {
+    name,
+    description,
+    events,
+    acknowledgeOnly: true
+  };
+}
+
+module.exports = {
+  createAcknowledgeHandler
+};
@@ -0,0 +1,170 @@
+const { logSuccess, logWarning } = require('../utils/logger');
+const { runStage } = require('../utils/stage');
+const { withLock } = require('../utils/lock');
+const { checkEventOrder, recordAppliedVersion } = require('../services/booking-versions');
+const { getTenantForEvent } = require('../services/tenant-registry');
+const { getGhlStatusForState } = require('../services/booking-status');
+const { isLatestVisit, recordVisit } = require('../services/visit-history');
+const { appointmentActions } = require('../services/pipeline-metrics');
+const {
+  searchContact,
+  extractPatientData,
+  buildAttendancePayload,
+  updateContact
+} = require('../services/ghl-service');
+const {
+  getExistingAppointmentId,
+  updateAppointmentStatus,
+  searchContactByBookingId
+} = require('../services/calendar-service');
+
+/**
+ * GHL contact of an attended booking: contact_id from Make, then the patient's phone/email,
+ * then the contact whose booking ID field lists the booking
+ * Completions never create contacts, a patient unknown to GHL has nothing to mark
+ * @param {import('../services/tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function findContactId(tenant, event) {
+  if (event.contactId) {
+    return event.contactId;
+  }
+
+  const patientData = extractPatientData(event, tenant.timezone);
+  if (patientData.phone || patientData.email) {
+    const contact = await searchContact(tenant, patientData.phone, patientData.email);
+    if (contact) return contact.id;
+  }
+
+  return searchContactByBookingId(tenant, event.booking.id);
+}
+
+/**
+ * Mark the booking's GHL appointment as showed and store the visit on the contact
+ * @param {import('../services/tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function completeBooking(tenant, event, progress) {
+  const nubimedBookingId = event.booking.id;
+  const visitAt = event.booking.startAt;
+
+  const order = checkEventOrder(event);
+  if (order.stale) {
+    return { outcome: 'stale', message: order.reason };
+  }
+
+  if (!progress.contactId) {
+    const contactId = await runStage('contact', () => findContactId(tenant, event));
+    if (!contactId) {
+      logWarning('CONTACT_NOT_FOUND_FOR_COMPLETION', { nubimedBookingId });
+      return {
+        outcome: 'ignored',
+        message: `No GHL contact found for booking ${nubimedBookingId}`
+      };
+    }
+    progress.contactId = contactId;
+  }
+
+  const contactId = progress.contactId;
+
+  await withLock(`${tenant.id}:contact:${contactId}`, async () => {
+    if (progress.appointmentAction === undefined) {
+      const appointmentId = await runStage('appointment', () =>
+        getExistingAppointmentId(tenant, contactId, nubimedBookingId)
+      );
+
+      if (appointmentId) {
+        const result = await runStage('appointment', () =>
+          updateAppointmentStatus(tenant, appointmentId, getGhlStatusForState('attended'))
+        );
+        progress.appointmentId = appointmentId;
+        progress.appointmentAction = result.action;
+        appointmentActions.inc({ action: result.action });
+      } else {
+        logWarning('APPOINTMENT_NOT_FOUND_FOR_COMPLETION', {
+          contactId,
+          nubimedBookingId,
+          message: 'Booking is not mapped to a GHL appointment, only the visit dates are updated'
+        });
+        progress.appointmentId = null;
+        progress.appointmentAction = null;
+      }
+    }
+
+    // Dates come from the attended visit, a late completion of an older visit leaves them alone
+    if (!progress.visitRecorded && isLatestVisit(tenant.id, contactId, visitAt)) {
+      await runStage('attendance', () => updateContact(tenant, contactId, buildAttendancePayload(tenant, visitAt)));
+      recordVisit(tenant.id, contactId, { bookingId: nubimedBookingId, visitAt });
+      progress.visitRecorded = true;
+    }
+  });
+
+  recordAppliedVersion(event);
+
+  logSuccess('BOOKING_COMPLETED_SYNCED', {
+    contactId,
+    nubimedBookingId,
+    appointmentId: progress.appointmentId,
+    visitRecorded: !!progress.visitRecorded
+  });
+
+  return {
+    message: 'Attendance synced to GHL',
+    contactId,
+    appointmentId: progress.appointmentId,
+    appointmentAction: progress.appointmentAction,
+    visitRecorded: !!progress.visitRecorded
+  };
+}
+
+/**
+ * Complete while holding the booking lock, an upsert of the same booking could rewrite the status
+ */
+async function processBookingCompleted(event, progress = {}) {
+  const tenant = getTenantForEvent(event);
+  return withLock(`${tenant.id}:booking:${event.booking.id}`, () => completeBooking(tenant, event, progress));
+}
+
+/**
+ * Dry run: the GHL requests processBookingCompleted would send, without sending them
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function planBookingCompleted(event) {
+  const tenant = getTenantForEvent(event);
+  const contactId = event.contactId || '{contactId}';
+  const nubimedBookingId = String(event.booking.id);
+
+  return {
+    contactLookup: event.contactId ? null : {
+      method: 'GET',
+      path: '/contacts/search',
+      note: `Searched by the patient's phone/email, then by booking ${nubimedBookingId} in the booking ID field; nothing is sent if no contact is found`
+    },
+    appointmentLookup: {
+      method: 'GET',
+      path: `/contacts/${contactId}`,
+      note: `Reads the GHL appointment ID mapped to booking ${nubimedBookingId}`
+    },
+    appointmentStatus: {
+      method: 'PUT',
+      path: '/calendars/events/appointments/{appointmentId}',
+      body: { appointmentStatus: getGhlStatusForState('attended') },
+      note: 'Skipped when the booking has no mapped appointment'
+    },
+    customFieldUpdates: {
+      method: 'PUT',
+      path: `/contacts/${contactId}`,
+      body: buildAttendancePayload(tenant, event.booking.startAt),
+      note: 'Skipped when a later visit is already stored on the contact'
+    }
+  };
+}
+
+module.exports = {
+  name: 'booking_completed',
+  description: 'Mark the GHL appointment of an attended booking as showed and store the visit on the contact',
+  events: ['cita_completada', 'booking_completed'],
+  schema: 'booking-completed',
+  process: processBookingCompleted,
+  plan: planBookingCompleted
+};
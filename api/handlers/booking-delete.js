@@ -0,0 +1,116 @@
+const { logSuccess, logWarning } = require('../utils/logger');
+const { runStage } = require('../utils/stage');
+const { withLock } = require('../utils/lock');
+const { recordAppliedVersion } = require('../services/booking-versions');
+const { getTenantForEvent } = require('../services/tenant-registry');
+const { appointmentActions } = require('../services/pipeline-metrics');
+const {
+  getExistingAppointmentId,
+  deleteAppointment,
+  removeContactAppointmentIds,
+  buildAppointmentIdsPayload
+} = require('../services/calendar-service');
+
+/**
+ * Delete the GHL appointment mapped to a Nubimed booking and drop the ID mapping
+ * @param {import('../services/tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function deleteBooking(tenant, event, progress) {
+  const contactId = event.contactId;
+  const nubimedBookingId = event.booking.id;
+
+  if (!progress.appointmentId) {
+    // Get existing appointment ID from contact custom fields using contact_id
+    const existingAppointmentId = await runStage('appointment', () =>
+      getExistingAppointmentId(tenant, contactId, nubimedBookingId)
+    );
+
+    if (!existingAppointmentId) {
+      logWarning('APPOINTMENT_NOT_FOUND_FOR_DELETE', {
+        contactId,
+        nubimedBookingId,
+        message: 'Appointment not found in contact custom fields'
+      });
+      // GHL has no appointment for this booking, so the deletion already holds
+      recordAppliedVersion(event, { deleted: true });
+      return {
+        outcome: 'ignored',
+        message: 'Appointment not found in GHL calendar'
+      };
+    }
+
+    // Delete appointment from GHL calendar (only needs eventId, not contact_id)
+    const deleteResult = await runStage('appointment', () => deleteAppointment(tenant, existingAppointmentId));
+    progress.appointmentId = existingAppointmentId;
+    appointmentActions.inc({ action: deleteResult.action });
+
+    // Deletion is final once GHL has dropped the appointment: later (or delayed) updates of
+    // this booking are skipped from now on; a failed delete is retried and records nothing
+    recordAppliedVersion(event, { deleted: true });
+  }
+
+  // Remove IDs from contact custom fields using contact_id
+  await runStage('id_mapping', () =>
+    removeContactAppointmentIds(tenant, contactId, nubimedBookingId, progress.appointmentId)
+  );
+
+  logSuccess('APPOINTMENT_DELETED_SUCCESS', {
+    contactId,
+    nubimedBookingId,
+    appointmentId: progress.appointmentId
+  });
+
+  return {
+    message: 'Appointment deleted successfully',
+    appointmentId: progress.appointmentId
+  };
+}
+
+/**
+ * Delete while holding the booking lock (a concurrent upsert could recreate the appointment)
+ * and the contact lock (the ID mapping is a read-modify-write of the contact's custom fields)
+ */
+async function processBookingDelete(event, progress = {}) {
+  const tenant = getTenantForEvent(event);
+  return withLock(`${tenant.id}:booking:${event.booking.id}`, () =>
+    withLock(`${tenant.id}:contact:${event.contactId}`, () => deleteBooking(tenant, event, progress))
+  );
+}
+
+/**
+ * Dry run: the GHL requests processBookingDelete would send, without sending them
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function planBookingDelete(event) {
+  const tenant = getTenantForEvent(event);
+  const contactId = event.contactId;
+  const nubimedBookingId = String(event.booking.id);
+
+  return {
+    appointmentLookup: {
+      method: 'GET',
+      path: `/contacts/${contactId}`,
+      note: `Reads the GHL appointment ID mapped to booking ${nubimedBookingId}, nothing else is sent if there is none`
+    },
+    appointmentDelete: {
+      method: 'DELETE',
+      path: '/calendars/events/appointments/{appointmentId}'
+    },
+    customFieldUpdates: {
+      method: 'PUT',
+      path: `/contacts/${contactId}`,
+      body: buildAppointmentIdsPayload(tenant, '{appointmentIds without appointmentId}', `{bookingIds without ${nubimedBookingId}}`),
+      note: 'The booking and its appointment ID are removed from the lists stored on the contact'
+    }
+  };
+}
+
+module.exports = {
+  name: 'booking_delete',
+  description: 'Delete the GHL calendar appointment of a deleted booking',
+  events: ['cita_eliminada', 'booking_deleted'],
+  schema: 'booking-delete',
+  process: processBookingDelete,
+  plan: planBookingDelete
+};
@@ -0,0 +1,188 @@
+const { logError, logSuccess } = require('../utils/logger');
+const { runStage } = require('../utils/stage');
+const { withLock } = require('../utils/lock');
+const { checkEventOrder, recordAppliedVersion } = require('../services/booking-versions');
+const { getTenantForEvent } = require('../services/tenant-registry');
+const { appointmentActions } = require('../services/pipeline-metrics');
+const { evaluateWebhookFilter } = require('../utils/filter');
+const {
+  syncToGHL,
+  extractPatientData,
+  buildContactPayload
+} = require('../services/ghl-service');
+const {
+  createOrUpdateAppointment,
+  getExistingAppointmentId,
+  updateContactAppointmentIds,
+  extractAppointmentData,
+  buildAppointmentPayload,
+  buildAppointmentIdsPayload
+} = require('../services/calendar-service');
+
+/**
+ * Run the full sync for a booking: contact upsert, then calendar appointment
+ * `progress` records finished stages so retries and replays resume where they failed
+ * (re-running the appointment stage after it succeeded would create a duplicate appointment)
+ * @param {import('../services/tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function syncBooking(tenant, event, progress) {
+  // A delayed older event must not overwrite a newer one (or recreate a deleted booking)
+  const order = checkEventOrder(event);
+  if (order.stale) {
+    return { outcome: 'stale', message: order.reason };
+  }
+
+  // Sync contact to GHL
+  if (!progress.contactId) {
+    const result = await runStage('contact', () => syncToGHL(tenant, event));
+    progress.contactId = event.contactId || result.contactId;
+    progress.isNew = result.isNew;
+  }
+
+  const contactId = progress.contactId;
+  const nubimedBookingId = event.booking ? event.booking.id : null;
+
+  // Handle calendar integration for new/updated bookings
+  // Contact lock: the ID mapping is a read-modify-write of the contact's custom fields
+  if (contactId && nubimedBookingId) {
+    await withLock(`${tenant.id}:contact:${contactId}`, async () => {
+      try {
+        if (!progress.appointmentId) {
+          const appointmentResult = await runStage('appointment', async () => {
+            // Try to get existing appointment ID from contact custom fields
+            const existingAppointmentId = await getExistingAppointmentId(tenant, contactId, nubimedBookingId);
+
+            // Create or update appointment in GHL calendar
+            return createOrUpdateAppointment(
+              tenant,
+              event,
+              contactId,
+              existingAppointmentId
+            );
+          });
+
+          progress.appointmentId = appointmentResult.appointmentId || null;
+          progress.appointmentAction = appointmentResult.action;
+          appointmentActions.inc({ action: appointmentResult.action });
+        }
+
+        // Update contact custom fields with appointment IDs
+        if (progress.appointmentId && !progress.idsMapped) {
+          await runStage('id_mapping', () => updateContactAppointmentIds(
+            tenant,
+            contactId,
+            nubimedBookingId,
+            progress.appointmentId
+          ));
+          progress.idsMapped = true;
+        }
+
+        logSuccess('CALENDAR_SYNC_SUCCESS', {
+          contactId,
+          appointmentId: progress.appointmentId,
+          nubimedBookingId
+        });
+      } catch (calendarError) {
+        logError('CALENDAR_SYNC_ERROR', {
+          error: calendarError.message,
+          stack: calendarError.stack,
+          stage: calendarError.stage,
+          contactId
+        });
+        // Rethrow so the queue retries transient GHL failures
+        throw calendarError;
+      }
+    });
+  }
+
+  recordAppliedVersion(event);
+
+  return {
+    contactId: progress.contactId,
+    isNew: progress.isNew,
+    appointmentId: progress.appointmentId || null,
+    appointmentAction: progress.appointmentAction || null
+  };
+}
+
+/**
+ * Sync a booking while holding its lock
+ * new_booking and new_or_updated_booking often arrive within milliseconds: without the lock
+ * both see no appointment mapping and both create a calendar event
+ */
+async function processBookingUpsert(event, progress = {}) {
+  const tenant = getTenantForEvent(event);
+  const nubimedBookingId = event.booking ? event.booking.id : null;
+  if (!nubimedBookingId) {
+    return syncBooking(tenant, event, progress);
+  }
+  return withLock(`${tenant.id}:booking:${nubimedBookingId}`, () => syncBooking(tenant, event, progress));
+}
+
+/**
+ * Dry run: the GHL requests processBookingUpsert would send, without sending them
+ * IDs only known after a GHL call are shown as {placeholders}
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function planBookingUpsert(event) {
+  const tenant = getTenantForEvent(event);
+  const patientData = extractPatientData(event, tenant.timezone);
+  const appointmentData = extractAppointmentData(event);
+  const contactId = event.contactId || '{contactId}';
+
+  const plan = {
+    patientData,
+    appointmentData,
+    contactUpsert: {
+      method: 'POST',
+      path: '/contacts/upsert',
+      body: buildContactPayload(tenant, patientData),
+      note: event.contactId
+        ? `Only sent if contact_id ${event.contactId} is not found in GHL`
+        : undefined
+    },
+    appointment: null,
+    customFieldUpdates: null
+  };
+
+  if (appointmentData.nubimedBookingId) {
+    plan.appointment = {
+      method: 'POST',
+      path: '/calendars/events/appointments',
+      body: buildAppointmentPayload(tenant, appointmentData, contactId),
+      note: 'Sent as PUT /calendars/events/appointments/{appointmentId} when the contact already has an appointment for this booking'
+    };
+    plan.customFieldUpdates = {
+      method: 'PUT',
+      path: `/contacts/${contactId}`,
+      body: buildAppointmentIdsPayload(tenant, '{appointmentId}', String(appointmentData.nubimedBookingId)),
+      note: 'IDs are appended to the lists already stored on the contact, skipped if the booking is already mapped'
+    };
+  }
+
+  return plan;
+}
+
+module.exports = {
+  name: 'booking_upsert',
+  description: 'Create or update the GHL contact and calendar appointment for a booking',
+  events: [
+    'new_booking',
+    'new_or_updated_booking',
+    'booking_created',
+    'booking_updated',
+    'booking_modified',
+    // Legacy appointment shape
+    'created',
+    'updated',
+    'appointment.created',
+    'appointment.updated'
+  ],
+  // Other booking-ish names Nubimed/Make have used; checked after every exact name
+  patterns: [/booking/, /cita/, /appointment/],
+  schema: 'booking-upsert',
+  filter: evaluateWebhookFilter,
+  process: processBookingUpsert,
+  plan: planBookingUpsert
+};
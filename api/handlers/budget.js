@@ -0,0 +1,163 @@
+const { logSuccess, logWarning } = require('../utils/logger');
+const { runStage } = require('../utils/stage');
+const { withLock } = require('../utils/lock');
+const { getEventVersion } = require('../services/booking-versions');
+const { getTenantForEvent } = require('../services/tenant-registry');
+const { getBudgetRecord, saveBudgetRecord } = require('../services/budget-store');
+const { opportunityActions } = require('../services/pipeline-metrics');
+const { syncToGHL, extractPatientData, buildContactPayload, updateContact } = require('../services/ghl-service');
+const {
+  getBudgetState,
+  buildOpportunityPayload,
+  buildTreatmentFieldsPayload,
+  findBudgetOpportunityId,
+  saveBudgetOpportunity
+} = require('../services/budget-service');
+
+/**
+ * Upsert a budget as an opportunity in the tenant's budget pipeline and fill the contact's
+ * treatment plan/value fields
+ * Without a configured pipeline only the contact fields are written
+ * @param {import('../services/tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function syncBudget(tenant, event, progress) {
+  const budget = event.budget;
+  const state = getBudgetState(budget.status);
+  const version = getEventVersion(event);
+  const record = getBudgetRecord(tenant.id, budget.id);
+
+  // An older delivery (e.g. still pending) must not move the opportunity back a stage
+  if (record && record.version && version && version.version < record.version) {
+    const reason = `Event version ${version.version} (${version.source}) is older than recorded version ${record.version}`;
+    logWarning('STALE_EVENT', { budgetId: budget.id, eventType: event.type, reason });
+    return { outcome: 'stale', message: reason };
+  }
+
+  // Same matching as booking syncs: contact_id from Make, else upsert by phone/email
+  if (!progress.contactId) {
+    const result = await runStage('contact', () => syncToGHL(tenant, event, { requireAppointmentDate: false }));
+    progress.contactId = event.contactId || result.contactId;
+    progress.isNew = result.isNew;
+  }
+
+  const contactId = progress.contactId;
+
+  await withLock(`${tenant.id}:contact:${contactId}`, async () => {
+    if (progress.opportunityAction === undefined) {
+      if (tenant.ghl.budgetPipeline) {
+        // An opportunity on another contact (patient reassigned in Nubimed) is left there
+        const opportunityId = record && record.contactId === contactId
+          ? record.opportunityId
+          : await runStage('opportunity', () => findBudgetOpportunityId(tenant, contactId, budget.id));
+        const result = await runStage('opportunity', () =>
+          saveBudgetOpportunity(tenant, contactId, opportunityId, buildOpportunityPayload(tenant, event))
+        );
+        progress.opportunityId = result.opportunityId;
+        progress.opportunityAction = result.action;
+        opportunityActions.inc({ action: result.action });
+      } else {
+        logWarning('BUDGET_PIPELINE_NOT_CONFIGURED', {
+          tenantId: tenant.id,
+          budgetId: budget.id,
+          message: 'No budget pipeline configured, only the treatment fields are updated'
+        });
+        progress.opportunityId = null;
+        progress.opportunityAction = null;
+      }
+
+      saveBudgetRecord(tenant.id, budget.id, {
+        number: budget.number,
+        contactId,
+        opportunityId: progress.opportunityId,
+        state,
+        version: version ? version.version : null
+      });
+    }
+
+    if (!progress.treatmentFieldsUpdated) {
+      await runStage('treatment_fields', () =>
+        updateContact(tenant, contactId, buildTreatmentFieldsPayload(tenant, budget))
+      );
+      progress.treatmentFieldsUpdated = true;
+    }
+  });
+
+  logSuccess('BUDGET_SYNCED', {
+    contactId,
+    budgetId: budget.id,
+    state,
+    opportunityId: progress.opportunityId
+  });
+
+  return {
+    message: 'Budget synced to GHL',
+    contactId,
+    isNew: progress.isNew,
+    state,
+    opportunityId: progress.opportunityId,
+    opportunityAction: progress.opportunityAction
+  };
+}
+
+/**
+ * Sync while holding the budget lock, two deliveries of one budget would create two opportunities
+ */
+async function processBudget(event, progress = {}) {
+  const tenant = getTenantForEvent(event);
+  return withLock(`${tenant.id}:budget:${event.budget.id}`, () => syncBudget(tenant, event, progress));
+}
+
+/**
+ * Dry run: the GHL requests processBudget would send, without sending them
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function planBudget(event) {
+  const tenant = getTenantForEvent(event);
+  const patientData = extractPatientData(event, tenant.timezone);
+  const contactId = event.contactId || '{contactId}';
+  const record = getBudgetRecord(tenant.id, event.budget.id);
+  const opportunityId = record && record.opportunityId;
+  let opportunity = null;
+
+  if (tenant.ghl.budgetPipeline) {
+    const payload = buildOpportunityPayload(tenant, event);
+    opportunity = opportunityId
+      ? { method: 'PUT', path: `/opportunities/${opportunityId}`, body: payload }
+      : {
+        method: 'POST',
+        path: '/opportunities/',
+        body: { ...payload, locationId: tenant.ghl.locationId, contactId },
+        note: 'Updates the opportunity instead when one with this budget ID is found on the contact'
+      };
+  }
+
+  return {
+    patientData,
+    budget: event.budget,
+    budgetState: getBudgetState(event.budget.status),
+    contactUpsert: {
+      method: 'POST',
+      path: '/contacts/upsert',
+      body: buildContactPayload(tenant, patientData),
+      note: event.contactId
+        ? `Only sent if contact_id ${event.contactId} is not found in GHL`
+        : undefined
+    },
+    opportunity,
+    customFieldUpdates: {
+      method: 'PUT',
+      path: `/contacts/${contactId}`,
+      body: buildTreatmentFieldsPayload(tenant, event.budget)
+    }
+  };
+}
+
+module.exports = {
+  name: 'budget',
+  description: 'Upsert a Nubimed treatment budget as a GHL pipeline opportunity and fill the treatment fields',
+  events: ['presupuesto_creado_actualizado', 'budget_created_updated'],
+  schema: 'budget',
+  process: processBudget,
+  plan: planBudget
+};
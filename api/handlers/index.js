@@ -0,0 +1,21 @@
+const bookingUpsertHandler = require('./booking-upsert');
+const bookingDeleteHandler = require('./booking-delete');
+const bookingCompletedHandler = require('./booking-completed');
+const invoiceHandler = require('./invoice');
+const budgetHandler = require('./budget');
+const treatmentCompletedHandler = require('./treatment-completed');
+const patientUpsertHandler = require('./patient-upsert');
+
+/**
+ * All Nubimed callback handlers
+ * Exact event names are matched first, then patterns in this order
+ */
+module.exports = [
+  bookingDeleteHandler,
+  bookingCompletedHandler,
+  patientUpsertHandler,
+  invoiceHandler,
+  budgetHandler,
+  treatmentCompletedHandler,
+  bookingUpsertHandler
+];
@@ -0,0 +1,140 @@
+const { logSuccess, logWarning } = require('../utils/logger');
+const { runStage } = require('../utils/stage');
+const { withLock } = require('../utils/lock');
+const { getEventVersion } = require('../services/booking-versions');
+const { getTenantForEvent } = require('../services/tenant-registry');
+const { getInvoiceRecord, saveInvoiceRecord } = require('../services/invoice-store');
+const { invoiceNotes } = require('../services/pipeline-metrics');
+const { syncToGHL, extractPatientData, buildContactPayload } = require('../services/ghl-service');
+const { buildInvoiceNote, saveInvoiceNote, addToLifetimeBilledValue } = require('../services/invoice-service');
+
+/**
+ * Record an invoice on the patient's GHL contact: a structured note (updated, not duplicated,
+ * when Nubimed sends the invoice again) and, when configured, the lifetime billed value
+ * @param {import('../services/tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function recordInvoice(tenant, event, progress) {
+  const invoice = event.invoice;
+  const version = getEventVersion(event);
+  const record = getInvoiceRecord(tenant.id, invoice.id);
+
+  // An older delivery (e.g. still unpaid) must not overwrite the note of a newer one
+  if (record && record.version && version && version.version < record.version) {
+    const reason = `Event version ${version.version} (${version.source}) is older than recorded version ${record.version}`;
+    logWarning('STALE_EVENT', { invoiceId: invoice.id, eventType: event.type, reason });
+    return { outcome: 'stale', message: reason };
+  }
+
+  // Same matching as booking syncs: contact_id from Make, else upsert by phone/email
+  if (!progress.contactId) {
+    const result = await runStage('contact', () => syncToGHL(tenant, event, { requireAppointmentDate: false }));
+    progress.contactId = event.contactId || result.contactId;
+    progress.isNew = result.isNew;
+  }
+
+  const contactId = progress.contactId;
+
+  await withLock(`${tenant.id}:contact:${contactId}`, async () => {
+    if (!progress.noteId) {
+      // A note on another contact (patient reassigned in Nubimed) is left there
+      const existingNoteId = record && record.contactId === contactId ? record.noteId : null;
+      const note = await runStage('invoice', () =>
+        saveInvoiceNote(tenant, contactId, existingNoteId, buildInvoiceNote(tenant, invoice))
+      );
+      saveInvoiceRecord(tenant.id, invoice.id, {
+        number: invoice.number,
+        contactId,
+        noteId: note.noteId,
+        version: version ? version.version : null
+      });
+      progress.noteId = note.noteId;
+      progress.noteAction = note.action;
+      invoiceNotes.inc({ action: note.action });
+    }
+
+    // Only the difference to what this invoice already added, so redeliveries count once
+    if (tenant.customFields.lifetimeBilledValue && !progress.lifetimeValueUpdated) {
+      const current = getInvoiceRecord(tenant.id, invoice.id);
+      const alreadyBilled = current.billedContactId === contactId ? current.billedAmount || 0 : 0;
+      const delta = Math.round(((invoice.amount || 0) - alreadyBilled) * 100) / 100;
+
+      if (delta !== 0) {
+        progress.lifetimeBilledValue = await runStage('lifetime_value', () =>
+          addToLifetimeBilledValue(tenant, contactId, delta)
+        );
+      }
+      saveInvoiceRecord(tenant.id, invoice.id, { billedContactId: contactId, billedAmount: invoice.amount || 0 });
+      progress.lifetimeValueUpdated = true;
+    }
+  });
+
+  logSuccess('INVOICE_SYNCED', {
+    contactId,
+    invoiceId: invoice.id,
+    noteId: progress.noteId,
+    lifetimeBilledValue: progress.lifetimeBilledValue
+  });
+
+  return {
+    message: 'Invoice recorded in GHL',
+    contactId,
+    isNew: progress.isNew,
+    noteId: progress.noteId,
+    noteAction: progress.noteAction,
+    lifetimeBilledValue: progress.lifetimeBilledValue === undefined ? null : progress.lifetimeBilledValue
+  };
+}
+
+/**
+ * Record while holding the invoice lock, two deliveries of one invoice would create two notes
+ */
+async function processInvoice(event, progress = {}) {
+  const tenant = getTenantForEvent(event);
+  return withLock(`${tenant.id}:invoice:${event.invoice.id}`, () => recordInvoice(tenant, event, progress));
+}
+
+/**
+ * Dry run: the GHL requests processInvoice would send, without sending them
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function planInvoice(event) {
+  const tenant = getTenantForEvent(event);
+  const patientData = extractPatientData(event, tenant.timezone);
+  const contactId = event.contactId || '{contactId}';
+  const record = getInvoiceRecord(tenant.id, event.invoice.id);
+  const noteId = record && record.noteId;
+
+  return {
+    patientData,
+    invoice: event.invoice,
+    contactUpsert: {
+      method: 'POST',
+      path: '/contacts/upsert',
+      body: buildContactPayload(tenant, patientData),
+      note: event.contactId
+        ? `Only sent if contact_id ${event.contactId} is not found in GHL`
+        : undefined
+    },
+    invoiceNote: {
+      method: noteId ? 'PUT' : 'POST',
+      path: noteId ? `/contacts/${contactId}/notes/${noteId}` : `/contacts/${contactId}/notes`,
+      body: { body: buildInvoiceNote(tenant, event.invoice) }
+    },
+    lifetimeBilledValue: tenant.customFields.lifetimeBilledValue ? {
+      method: 'PUT',
+      path: `/contacts/${contactId}`,
+      body: { customFields: [{ id: tenant.customFields.lifetimeBilledValue, field_value: '{current value + invoice total}' }] },
+      note: 'Only the difference is added when the invoice was already counted'
+    } : null
+  };
+}
+
+module.exports = {
+  name: 'invoice',
+  description: 'Record a Nubimed invoice on the GHL contact and keep its lifetime billed value',
+  events: ['nueva_factura', 'new_invoice'],
+  schema: 'invoice',
+  process: processInvoice,
+  plan: planInvoice
+};
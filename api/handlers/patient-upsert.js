@@ -0,0 +1,106 @@
+const { logSuccess, logWarning } = require('../utils/logger');
+const { runStage } = require('../utils/stage');
+const { withLock } = require('../utils/lock');
+const { getTenantForEvent } = require('../services/tenant-registry');
+const { getPatientContactId } = require('../services/patient-contacts');
+const {
+  syncToGHL,
+  extractPatientData,
+  buildContactPayload,
+  buildPatientSearchPayload
+} = require('../services/ghl-service');
+
+/**
+ * Lock key of the patient: Nubimed patient ID, else the phone/email the upsert matches on,
+ * else the contact_id (the schema requires one of them)
+ */
+function getPatientKey(event, patientData) {
+  return patientData.patientId || patientData.phone || patientData.email || event.contactId;
+}
+
+/**
+ * Sync a created/edited Nubimed patient to their GHL contact, appointment fields untouched
+ * Locked per patient, two quick edits could otherwise upsert two contacts
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function processPatientUpsert(event, progress = {}) {
+  const tenant = getTenantForEvent(event);
+  const patientData = extractPatientData(event, tenant.timezone);
+
+  return withLock(`${tenant.id}:patient:${getPatientKey(event, patientData)}`, async () => {
+    if (!progress.contactId) {
+      let result;
+      try {
+        result = await runStage('contact', () => syncToGHL(tenant, event, { patientOnly: true }));
+      } catch (error) {
+        // Identified by patient ID only: nothing to update, and nothing to create a contact from
+        if (error.code !== 'MISSING_CONTACT_INFO') throw error;
+        logWarning('CONTACT_NOT_FOUND_FOR_PATIENT', { patientId: patientData.patientId });
+        return {
+          outcome: 'ignored',
+          message: `No GHL contact found for Nubimed patient ${patientData.patientId}, and no phone/email to create one`
+        };
+      }
+      progress.contactId = result.contactId;
+      progress.isNew = result.isNew;
+      progress.matchedBy = result.matchedBy;
+    }
+
+    logSuccess('PATIENT_SYNCED', { contactId: progress.contactId, matchedBy: progress.matchedBy });
+
+    return {
+      message: 'Patient synced to GHL',
+      contactId: progress.contactId,
+      isNew: progress.isNew,
+      matchedBy: progress.matchedBy
+    };
+  });
+}
+
+/**
+ * Dry run: the GHL requests processPatientUpsert would send, without sending them
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function planPatientUpsert(event) {
+  const tenant = getTenantForEvent(event);
+  const patientData = extractPatientData(event, tenant.timezone);
+  const knownContactId = event.contactId || getPatientContactId(tenant.id, patientData.patientId);
+  const contactData = buildContactPayload(tenant, patientData);
+  const { locationId, tags, ...updateBody } = contactData;
+  const searchesPatientId = !!(tenant.customFields.nubimedPatientId && patientData.patientId);
+  // Without phone/email there is nothing to create a contact from, the event is then ignored
+  const canCreate = !!(patientData.phone || patientData.email);
+
+  return {
+    patientData,
+    patientSearch: searchesPatientId ? {
+      method: 'POST',
+      path: '/contacts/search',
+      body: buildPatientSearchPayload(tenant, patientData.patientId),
+      note: 'The contact holding the Nubimed patient ID is updated with a PUT like the one below'
+    } : null,
+    contactUpdate: knownContactId ? {
+      method: 'PUT',
+      path: `/contacts/${knownContactId}`,
+      body: updateBody,
+      note: event.contactId
+        ? 'contact_id from the payload; the upsert below is sent if it is not found in GHL'
+        : `Contact synced before for Nubimed patient ${patientData.patientId}; the upsert below is sent if it no longer exists`
+    } : null,
+    contactUpsert: canCreate ? {
+      method: 'POST',
+      path: '/contacts/upsert',
+      body: contactData,
+      note: knownContactId || searchesPatientId ? 'Only sent if no contact above is found in GHL' : undefined
+    } : null
+  };
+}
+
+module.exports = {
+  name: 'patient_upsert',
+  description: 'Sync a created or edited Nubimed patient to their GHL contact',
+  events: ['paciente_creado_actualizado', 'patient_created_updated', 'new_or_updated_patient'],
+  schema: 'patient-upsert',
+  process: processPatientUpsert,
+  plan: planPatientUpsert
+};
@@ -0,0 +1,166 @@
+const { logSuccess, logWarning } = require('../utils/logger');
+const { runStage } = require('../utils/stage');
+const { withLock } = require('../utils/lock');
+const { getTenantForEvent } = require('../services/tenant-registry');
+const { isLatestCompletion, recordControl } = require('../services/control-history');
+const {
+  getControlSchedule,
+  buildControlDates,
+  getNextControlDate,
+  buildControlPayload
+} = require('../services/control-schedule');
+const {
+  syncToGHL,
+  extractPatientData,
+  buildContactPayload,
+  formatDateForDateField,
+  updateContact
+} = require('../services/ghl-service');
+
+/**
+ * Completion time of a treatment, the delivery time when Nubimed sends none
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function getCompletedAt(event) {
+  return event.treatment.completedAt || event.timestamps.deliveredAt || event.timestamps.receivedAt;
+}
+
+/**
+ * Completion day on the clinic's calendar (date-only values are kept as sent)
+ */
+function toCompletionDate(completedAt, timezone) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(completedAt))
+    ? String(completedAt)
+    : formatDateForDateField(completedAt, timezone);
+}
+
+/**
+ * Control dates of a completed treatment for the tenant, plus the schedule they come from
+ * @param {import('../services/tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function planControls(tenant, event, now = new Date()) {
+  const completedAt = getCompletedAt(event);
+  const completionDate = toCompletionDate(completedAt, tenant.timezone);
+  const { scheduleType, months } = getControlSchedule(event.treatment);
+  const controls = buildControlDates(completionDate, months);
+  const today = formatDateForDateField(now, tenant.timezone);
+  return { completedAt, completionDate, scheduleType, controls, today };
+}
+
+/**
+ * Write the follow-up control dates of a completed treatment on the patient's contact
+ * @param {import('../services/tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function syncTreatmentControls(tenant, event, progress) {
+  const treatment = event.treatment;
+  const { completedAt, completionDate, scheduleType, controls, today } = planControls(tenant, event);
+
+  if (controls.length === 0) {
+    return {
+      outcome: 'ignored',
+      message: `No controls are scheduled for ${scheduleType ? `treatment type "${scheduleType}"` : 'untyped treatments'}`
+    };
+  }
+
+  // Same matching as booking syncs: contact_id from Make, else upsert by phone/email
+  if (!progress.contactId) {
+    const result = await runStage('contact', () => syncToGHL(tenant, event, { requireAppointmentDate: false }));
+    progress.contactId = event.contactId || result.contactId;
+    progress.isNew = result.isNew;
+  }
+
+  const contactId = progress.contactId;
+
+  const stale = await withLock(`${tenant.id}:contact:${contactId}`, async () => {
+    if (progress.controlsUpdated) return false;
+    if (!isLatestCompletion(tenant.id, contactId, completedAt)) return true;
+
+    await runStage('controls', () =>
+      updateContact(tenant, contactId, buildControlPayload(tenant, treatment, completionDate, controls, today))
+    );
+    recordControl(tenant.id, contactId, {
+      treatmentId: treatment.id,
+      treatmentName: treatment.name,
+      scheduleType,
+      completedAt,
+      controls
+    });
+    progress.controlsUpdated = true;
+    return false;
+  });
+
+  if (stale) {
+    logWarning('TREATMENT_CONTROLS_SKIPPED', { contactId, treatmentId: treatment.id, completedAt });
+    return {
+      outcome: 'stale',
+      message: `A treatment completed after ${completedAt} already set the control dates`
+    };
+  }
+
+  const nextControlDate = getNextControlDate(controls, today);
+  logSuccess('TREATMENT_CONTROLS_SYNCED', {
+    contactId,
+    treatmentId: treatment.id,
+    scheduleType,
+    nextControlDate
+  });
+
+  return {
+    message: 'Control dates synced to GHL',
+    contactId,
+    isNew: progress.isNew,
+    treatmentId: treatment.id,
+    scheduleType,
+    controls,
+    nextControlDate
+  };
+}
+
+async function processTreatmentCompleted(event, progress = {}) {
+  const tenant = getTenantForEvent(event);
+  return syncTreatmentControls(tenant, event, progress);
+}
+
+/**
+ * Dry run: the GHL requests processTreatmentCompleted would send, without sending them
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ * @param {Date} [now] - Day the next control is picked from
+ */
+function planTreatmentCompleted(event, now = new Date()) {
+  const tenant = getTenantForEvent(event);
+  const patientData = extractPatientData(event, tenant.timezone);
+  const contactId = event.contactId || '{contactId}';
+  const { completionDate, scheduleType, controls, today } = planControls(tenant, event, now);
+
+  return {
+    patientData,
+    treatment: event.treatment,
+    scheduleType,
+    controls,
+    contactUpsert: controls.length > 0 ? {
+      method: 'POST',
+      path: '/contacts/upsert',
+      body: buildContactPayload(tenant, patientData),
+      note: event.contactId
+        ? `Only sent if contact_id ${event.contactId} is not found in GHL`
+        : undefined
+    } : null,
+    customFieldUpdates: controls.length > 0 ? {
+      method: 'PUT',
+      path: `/contacts/${contactId}`,
+      body: buildControlPayload(tenant, event.treatment, completionDate, controls, today),
+      note: 'Skipped when a treatment completed later already set the control dates'
+    } : null
+  };
+}
+
+module.exports = {
+  name: 'treatment_completed',
+  description: 'Write the follow-up control dates of a completed treatment on the GHL contact',
+  events: ['tratamiento_completado', 'treatment_completed'],
+  schema: 'treatment-completed',
+  process: processTreatmentCompleted,
+  plan: planTreatmentCompleted
+};
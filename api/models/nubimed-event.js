@@ -0,0 +1,312 @@
+/**
+ * Canonical Nubimed event
+ * Every inbound shape (direct Nubimed JSON, Make form-encoded, legacy appointment)
+ * is converted to this model by an adapter in api/adapters, and downstream modules
+ * (filter, ghl-service, calendar-service, pipeline) only read these fields
+ */
+
+/**
+ * @typedef {Object} NubimedPatient
+ * @property {string|null} id - Nubimed patient ID
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string|null} phone - Raw phone as sent by Nubimed (formatted later for GHL)
+ * @property {string|null} email
+ * @property {string} address
+ * @property {string} city
+ * @property {string} province
+ * @property {string} postalCode
+ * @property {string} country
+ * @property {string|null} birthDate
+ * @property {string|null} nin - National ID
+ * @property {string|null} sex
+ */
+
+/**
+ * @typedef {Object} NubimedBooking
+ * @property {string|null} id - Nubimed booking ID
+ * @property {number|string|null} status
+ * @property {string|null} startAt
+ * @property {string|null} endAt
+ * @property {string|null} previousStartAt
+ * @property {number|string|null} previousStatus
+ * @property {string} comment
+ * @property {string|null} updatedAt
+ */
+
+/**
+ * @typedef {Object} NubimedDoctor
+ * @property {string|null} id
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} fullName
+ */
+
+/**
+ * @typedef {Object} NubimedCenter
+ * @property {string|null} id
+ * @property {string|null} name
+ */
+
+/**
+ * @typedef {Object} NubimedLineItem
+ * @property {string} description
+ * @property {number|null} quantity
+ * @property {number|null} unitPrice
+ * @property {number|null} amount
+ */
+
+/**
+ * @typedef {Object} NubimedInvoice
+ * @property {string|null} id - Nubimed invoice ID
+ * @property {string|null} number - Invoice number as printed (series included)
+ * @property {string|null} date - Issue date
+ * @property {number|null} amount - Total amount
+ * @property {string|null} currency
+ * @property {boolean} paid
+ * @property {NubimedLineItem[]} items
+ */
+
+/**
+ * @typedef {Object} NubimedTreatment
+ * @property {string|null} id - Nubimed treatment ID
+ * @property {string} name
+ * @property {string|null} type - Treatment type (code or name) the control schedule is picked by
+ * @property {string|null} completedAt
+ */
+
+/**
+ * @typedef {Object} NubimedBudget
+ * @property {string|null} id - Nubimed budget ID
+ * @property {string|null} number
+ * @property {string|null} date
+ * @property {string|number|null} status - Raw Nubimed status (see services/budget-service for its state)
+ * @property {number|null} amount - Total amount
+ * @property {string|null} currency
+ * @property {string} treatment - Treatment name (first line when the budget has no name)
+ * @property {NubimedLineItem[]} items
+ */
+
+/**
+ * @typedef {Object} NubimedEvent
+ * @property {string|null} type - Event name (e.g. "new_booking", "cita_eliminada")
+ * @property {string} source - Adapter that produced the event
+ * @property {string|null} contactId - GHL contact ID when the caller already knows it (Make)
+ * @property {string|null} tenantId - Clinic the event belongs to (set by the webhook route, see tenant-registry)
+ * @property {NubimedBooking|null} booking
+ * @property {NubimedPatient[]} patients
+ * @property {NubimedDoctor|null} doctor
+ * @property {NubimedCenter|null} center
+ * @property {NubimedInvoice|null} invoice - Set for invoice events (nueva_factura)
+ * @property {NubimedBudget|null} budget - Set for budget events (presupuesto_creado_actualizado)
+ * @property {NubimedTreatment|null} treatment - Set for treatment events (tratamiento_completado)
+ * @property {Object|null} changes - Changed fields reported by legacy "updated" events
+ * @property {{ receivedAt: string, updatedAt: string|null, deliveredAt: string|null }} timestamps
+ *   updatedAt: source record update time; deliveredAt: send time stamped on the payload by Nubimed/Make
+ * @property {*} raw - Decoded inbound payload, untouched
+ */
+
+function toStringOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value);
+}
+
+/**
+ * First defined, non-empty value
+ */
+function pick(...values) {
+  for (const value of values) {
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * @returns {NubimedPatient}
+ */
+function createPatient(fields = {}) {
+  return {
+    id: toStringOrNull(fields.id),
+    firstName: fields.firstName || '',
+    lastName: fields.lastName || '',
+    phone: toStringOrNull(fields.phone),
+    email: fields.email || null,
+    address: fields.address || '',
+    city: fields.city || '',
+    province: fields.province || '',
+    postalCode: fields.postalCode ? String(fields.postalCode) : '',
+    country: fields.country || '',
+    birthDate: fields.birthDate || null,
+    nin: fields.nin || null,
+    sex: fields.sex || null
+  };
+}
+
+/**
+ * @returns {NubimedBooking}
+ */
+function createBooking(fields = {}) {
+  return {
+    id: toStringOrNull(fields.id),
+    status: fields.status !== undefined && fields.status !== '' ? fields.status : null,
+    startAt: fields.startAt || null,
+    endAt: fields.endAt || null,
+    previousStartAt: fields.previousStartAt || null,
+    previousStatus: fields.previousStatus !== undefined ? fields.previousStatus : null,
+    comment: fields.comment || '',
+    updatedAt: fields.updatedAt || null
+  };
+}
+
+/**
+ * Amount as a number: 120, "120.50", "120,50" (decimal comma) or "1.234,50"
+ */
+function toAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  let text = String(value).replace(/[^\d,.-]/g, '');
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * @returns {NubimedTreatment}
+ */
+function createTreatment(fields = {}) {
+  return {
+    id: toStringOrNull(fields.id),
+    name: fields.name ? String(fields.name) : '',
+    type: toStringOrNull(fields.type),
+    completedAt: fields.completedAt || null
+  };
+}
+
+/**
+ * @returns {NubimedLineItem}
+ */
+function createLineItem(item) {
+  return {
+    description: item.description ? String(item.description) : '',
+    quantity: toAmount(item.quantity),
+    unitPrice: toAmount(item.unitPrice),
+    amount: toAmount(item.amount)
+  };
+}
+
+// Status texts of a paid invoice (Nubimed sends a flag or a status, depending on the version)
+const PAID_STATUSES = ['paid', 'pagada', 'pagado', 'cobrada', 'cobrado'];
+
+/**
+ * @returns {NubimedInvoice}
+ */
+function createInvoice(fields = {}) {
+  const paid = typeof fields.paid === 'boolean'
+    ? fields.paid
+    : fields.paid === 1 || fields.paid === '1' || PAID_STATUSES.includes(String(fields.status || '').trim().toLowerCase());
+
+  return {
+    id: toStringOrNull(fields.id),
+    number: toStringOrNull(fields.number),
+    date: fields.date || null,
+    amount: toAmount(fields.amount),
+    currency: fields.currency || null,
+    paid,
+    items: (fields.items || []).map(createLineItem)
+  };
+}
+
+/**
+ * @returns {NubimedBudget}
+ */
+function createBudget(fields = {}) {
+  const items = (fields.items || []).map(createLineItem);
+  return {
+    id: toStringOrNull(fields.id),
+    number: toStringOrNull(fields.number),
+    date: fields.date || null,
+    status: fields.status !== undefined && fields.status !== '' ? fields.status : null,
+    amount: toAmount(fields.amount),
+    currency: fields.currency || null,
+    treatment: fields.treatment ? String(fields.treatment) : (items.length > 0 ? items[0].description : ''),
+    items
+  };
+}
+
+/**
+ * @returns {NubimedDoctor|null}
+ */
+function createDoctor(fields) {
+  if (!fields) return null;
+
+  const firstName = fields.firstName || '';
+  const lastName = fields.lastName || '';
+  const fullName = `${firstName} ${lastName}`.trim();
+
+  if (!fields.id && !fullName) return null;
+
+  return {
+    id: toStringOrNull(fields.id),
+    firstName,
+    lastName,
+    fullName
+  };
+}
+
+/**
+ * @returns {NubimedCenter|null}
+ */
+function createCenter(fields) {
+  if (!fields || (!fields.id && !fields.name)) return null;
+
+  return {
+    id: toStringOrNull(fields.id),
+    name: fields.name || null
+  };
+}
+
+/**
+ * @returns {NubimedEvent}
+ */
+function createNubimedEvent(fields) {
+  return {
+    type: fields.type || null,
+    source: fields.source,
+    contactId: toStringOrNull(fields.contactId),
+    tenantId: fields.tenantId || null,
+    booking: fields.booking ? createBooking(fields.booking) : null,
+    patients: (fields.patients || []).map(createPatient),
+    doctor: createDoctor(fields.doctor),
+    center: createCenter(fields.center),
+    invoice: fields.invoice ? createInvoice(fields.invoice) : null,
+    budget: fields.budget ? createBudget(fields.budget) : null,
+    treatment: fields.treatment ? createTreatment(fields.treatment) : null,
+    changes: fields.changes || null,
+    timestamps: {
+      receivedAt: fields.receivedAt || new Date().toISOString(),
+      updatedAt: (fields.booking && fields.booking.updatedAt) || fields.updatedAt || null,
+      deliveredAt: fields.deliveredAt || null
+    },
+    raw: fields.raw
+  };
+}
+
+/**
+ * Main patient of the event (Nubimed bookings carry a patients array)
+ * @param {NubimedEvent} event
+ * @returns {NubimedPatient|null}
+ */
+function getPrimaryPatient(event) {
+  return event.patients.length > 0 ? event.patients[0] : null;
+}
+
+module.exports = {
+  createNubimedEvent,
+  getPrimaryPatient,
+  pick
+};
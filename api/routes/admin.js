@@ -0,0 +1,230 @@
+const express = require('express');
+const { logSuccess } = require('../utils/logger');
+const {
+  listDeadLetters,
+  getDeadLetter,
+  removeDeadLetter,
+  markReplayed,
+  STAGES
+} = require('../services/dead-letter-store');
+const {
+  completeEvent,
+  reopenEvent,
+  getEvent,
+  listEvents,
+  getEventContactId,
+  getEventAppointmentId
+} = require('../services/event-store');
+const { enqueueSync, isSyncQueued } = require('../services/sync-pipeline');
+
+const router = express.Router();
+
+// Stored event outcomes; "pending" = accepted and not finished yet
+const EVENT_OUTCOMES = ['processed', 'ignored', 'stale', 'failed', 'rejected', 'unhandled', 'discarded', 'pending'];
+const EVENTS_PAGE_MAX = 500;
+
+/**
+ * Dead-letter entry without the (potentially large) event, for listings
+ */
+function summarizeDeadLetter(entry) {
+  const { event, ...summary } = entry;
+  return summary;
+}
+
+/**
+ * Stored event for listings: what was received, the filter decision, GHL calls and result
+ */
+function summarizeEvent(record) {
+  return {
+    id: record.id,
+    tenantId: record.tenantId || null,
+    eventName: record.eventName,
+    bookingId: record.bookingId,
+    contactId: getEventContactId(record),
+    appointmentId: getEventAppointmentId(record),
+    route: record.route,
+    correlationId: record.correlationId || null,
+    receivedAt: record.receivedAt,
+    updatedAt: record.updatedAt,
+    attempts: record.attempts,
+    outcome: record.outcome,
+    decision: record.decision || null,
+    ghlCalls: record.ghlCalls || [],
+    error: record.error
+  };
+}
+
+/**
+ * Parse an ISO date query parameter, returns undefined when absent and null when invalid
+ */
+function parseDateParam(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Re-enqueue a dead-lettered event, resuming after its last finished stage
+ * The entry stays parked until the replay succeeds; an entry whose replay is still queued or
+ * running is skipped (status "in_progress"), two jobs for one event would race through its stages
+ * The replay keeps the correlation ID of the original delivery, so its logs line up with it
+ */
+function replayDeadLetter(entry) {
+  if (isSyncQueued(entry.eventId)) {
+    return { eventId: entry.eventId, status: 'in_progress' };
+  }
+
+  markReplayed(entry.eventId);
+  const record = reopenEvent(entry.eventId);
+  enqueueSync(entry.eventId, entry.event, {
+    handler: entry.handler,
+    progress: entry.progress,
+    correlationId: record && record.correlationId ? record.correlationId : undefined
+  });
+
+  logSuccess('DEAD_LETTER_REPLAYED', {
+    eventId: entry.eventId,
+    stage: entry.stage,
+    progress: entry.progress
+  });
+
+  return { eventId: entry.eventId, status: 'accepted' };
+}
+
+// Filters: bookingId, contactId, eventName, outcome, tenantId, correlationId, from/to (ISO dates on receivedAt)
+router.get('/events', (req, res) => {
+  const { bookingId, contactId, eventName, outcome, tenantId, correlationId } = req.query;
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  const limit = Math.min(Number(req.query.limit) || 100, EVENTS_PAGE_MAX);
+  const offset = Number(req.query.offset) || 0;
+
+  if (outcome && !EVENT_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Invalid outcome. Expected one of: ${EVENT_OUTCOMES.join(', ')}`
+    });
+  }
+
+  if (from === null || to === null) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid date range, "from" and "to" must be ISO dates'
+    });
+  }
+
+  const events = listEvents({ bookingId, contactId, eventName, outcome, tenantId, correlationId, from, to });
+  res.json({
+    status: 'ok',
+    total: events.length,
+    count: Math.max(0, Math.min(limit, events.length - offset)),
+    offset,
+    events: events.slice(offset, offset + limit).map(summarizeEvent)
+  });
+});
+
+router.get('/events/:id', (req, res) => {
+  const record = getEvent(req.params.id);
+  if (!record) {
+    return res.status(404).json({ status: 'error', message: 'Event not found' });
+  }
+  res.json({
+    status: 'ok',
+    event: {
+      ...summarizeEvent(record),
+      idempotencyKey: record.idempotencyKey,
+      payloadHash: record.payloadHash,
+      response: record.response,
+      progress: record.progress || null,
+      event: record.event
+    }
+  });
+});
+
+router.get('/dead-letters', (req, res) => {
+  const { stage, bookingId } = req.query;
+
+  if (stage && !STAGES.includes(stage) && stage !== 'unknown') {
+    return res.status(400).json({
+      status: 'error',
+      message: `Invalid stage. Expected one of: ${STAGES.join(', ')}, unknown`
+    });
+  }
+
+  const entries = listDeadLetters({ stage, bookingId });
+  res.json({
+    status: 'ok',
+    count: entries.length,
+    deadLetters: entries.map(summarizeDeadLetter)
+  });
+});
+
+router.get('/dead-letters/:id', (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ status: 'error', message: 'Dead letter not found' });
+  }
+  res.json({ status: 'ok', deadLetter: entry });
+});
+
+// Bulk replay: { ids: [...] }, { stage: "appointment" } or { all: true }
+router.post('/dead-letters/replay', (req, res) => {
+  const { ids, stage, all } = req.body || {};
+  let entries;
+
+  if (Array.isArray(ids) && ids.length > 0) {
+    entries = Array.from(new Set(ids)).map(id => getDeadLetter(id)).filter(Boolean);
+  } else if (stage || all === true) {
+    entries = listDeadLetters({ stage });
+  } else {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Provide "ids", "stage" or "all: true" to select dead letters to replay'
+    });
+  }
+
+  const results = entries.map(replayDeadLetter);
+  const replayed = results.filter(result => result.status === 'accepted');
+  const inProgress = results.filter(result => result.status === 'in_progress').map(result => result.eventId);
+  const notFound = Array.isArray(ids)
+    ? Array.from(new Set(ids)).filter(id => !entries.some(entry => entry.eventId === id))
+    : [];
+
+  res.status(202).json({
+    status: 'accepted',
+    count: replayed.length,
+    replayed,
+    inProgress,
+    notFound
+  });
+});
+
+router.post('/dead-letters/:id/replay', (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ status: 'error', message: 'Dead letter not found' });
+  }
+  const result = replayDeadLetter(entry);
+  if (result.status === 'in_progress') {
+    return res.status(409).json({ status: 'error', message: 'Dead letter is already being replayed', eventId: entry.eventId });
+  }
+  res.status(202).json(result);
+});
+
+router.delete('/dead-letters/:id', (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ status: 'error', message: 'Dead letter not found' });
+  }
+
+  removeDeadLetter(entry.eventId, 'discarded');
+  completeEvent(entry.eventId, {
+    outcome: 'discarded',
+    response: { status: 'discarded', message: 'Failed event discarded by an admin' },
+    error: entry.error
+  });
+
+  res.json({ status: 'ok', message: 'Dead letter discarded', eventId: entry.eventId });
+});
+
+module.exports = router;
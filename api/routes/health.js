@@ -0,0 +1,29 @@
+const express = require('express');
+const { checkReadiness } = require('../services/health');
+
+const router = express.Router();
+
+// Liveness: the process is up and serving requests, no dependencies checked
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: 503 when any check fails (warnings such as dead letters keep it ready)
+router.get('/ready', async (req, res, next) => {
+  try {
+    const readiness = await checkReadiness();
+    res.status(readiness.ready ? 200 : 503).json({
+      status: readiness.status,
+      timestamp: new Date().toISOString(),
+      checks: readiness.checks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
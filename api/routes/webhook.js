@@ -0,0 +1,382 @@
+const express = require('express');
+const { logWebhook, logError } = require('../utils/logger');
+const { verifySignature } = require('../utils/signature');
+const { normalizeNubimedEvent, extractBatch } = require('../adapters');
+const {
+  recordEvent,
+  recordDecision,
+  completeEvent,
+  findDuplicate,
+  buildIdempotencyKey
+} = require('../services/event-store');
+const { routeEvent, planEvent } = require('../services/event-router');
+const { enqueueSync } = require('../services/sync-pipeline');
+const { getDeadLetter } = require('../services/dead-letter-store');
+const { getTenant, resolveTenantId } = require('../services/tenant-registry');
+const { webhooksReceived, filterDecisions } = require('../services/pipeline-metrics');
+
+const router = express.Router();
+
+// Signature schemes accepted per route (comma-separated, see utils/signature.js)
+// Both routes are called from Make scenarios by default
+const WEBHOOK_SIGNATURE_SCHEME = process.env.WEBHOOK_SIGNATURE_SCHEME || 'make';
+const WEBHOOK_DELETED_SIGNATURE_SCHEME = process.env.WEBHOOK_DELETED_SIGNATURE_SCHEME || 'make';
+
+/**
+ * Response for a repeated delivery of an already stored event
+ */
+function buildDuplicateResponse(storedEvent) {
+  if (!storedEvent.outcome) {
+    return {
+      status: 'duplicate',
+      message: 'Webhook already received and still being processed',
+      eventId: storedEvent.id,
+      duplicate: true
+    };
+  }
+
+  return {
+    ...storedEvent.response,
+    eventId: storedEvent.id,
+    duplicate: true
+  };
+}
+
+/**
+ * Store the outcome of an event and send the response
+ */
+function respondWithOutcome(res, storedEvent, outcome, statusCode, body, error = null) {
+  completeEvent(storedEvent.id, { outcome, response: body, error });
+  return res.status(statusCode).json({ ...body, eventId: storedEvent.id });
+}
+
+// Batch deliveries (array or { events: [...] } envelope)
+const WEBHOOK_BATCH_MAX_ITEMS = Number(process.env.WEBHOOK_BATCH_MAX_ITEMS) || 100;
+
+/**
+ * Normalize one inbound payload and attach its tenant (clinic)
+ * Throws an error with status 400 when the payload cannot be decoded
+ */
+function toTenantEvent(body, { contentType, timestamp, defaultType, pathTenantId }) {
+  const event = normalizeNubimedEvent(body, { contentType, receivedAt: timestamp, defaultType });
+  event.tenantId = resolveTenantId(event, pathTenantId);
+  return event;
+}
+
+/**
+ * Dry-run requests (?dryRun=true or X-Dry-Run: true) return the planned GHL requests instead of syncing
+ */
+function isDryRun(req) {
+  const flag = req.query.dryRun !== undefined ? req.query.dryRun : req.headers['x-dry-run'];
+  return flag === 'true' || flag === '1';
+}
+
+/**
+ * Dry run of a batch delivery: one plan per item, nothing stored or sent
+ */
+function planBatch(items, { handlerName, defaultType, contentType, timestamp, pathTenantId }) {
+  const results = items.map((item, index) => {
+    try {
+      const event = toTenantEvent(item, { contentType, timestamp, defaultType, pathTenantId });
+      return { index, ...planEvent(event, { handlerName }) };
+    } catch (normalizeError) {
+      return { index, status: 'dry_run', decision: 'failed', reason: normalizeError.message, plan: null };
+    }
+  });
+
+  return {
+    status: 'dry_run',
+    message: 'Dry run, nothing was sent to GHL',
+    total: results.length,
+    results
+  };
+}
+
+/**
+ * Deduplicate, store, route and queue one canonical event
+ * Returns { duplicate } for repeated deliveries, otherwise { storedEvent, routing, job }
+ * (`job` is only set when the event was accepted and queued)
+ */
+function acceptEvent(event, { route, handlerName, timestamp, contentType }) {
+  webhooksReceived.inc({ event: event.type, content_type: contentType.split(';')[0].trim() });
+
+  // Repeated deliveries (Nubimed/Make retries) get the original result back
+  const duplicate = findDuplicate(buildIdempotencyKey(event));
+  if (duplicate) {
+    logWebhook('WEBHOOK_DUPLICATE', {
+      timestamp,
+      eventId: duplicate.id,
+      originalOutcome: duplicate.outcome,
+      bookingId: duplicate.bookingId
+    });
+    return { duplicate };
+  }
+
+  const storedEvent = recordEvent({ route, event });
+  const routing = routeEvent(event, { handlerName });
+  filterDecisions.inc({
+    handler: routing.handler ? routing.handler.name : 'none',
+    decision: routing.accept ? 'accepted' : routing.outcome,
+    reason: routing.reasonCode
+  });
+  recordDecision(storedEvent.id, {
+    decision: routing.accept ? 'accepted' : routing.outcome,
+    handler: routing.handler ? routing.handler.name : null,
+    reasonCode: routing.reasonCode,
+    message: routing.body.message,
+    errors: routing.body.errors || [],
+    filter: routing.filterDecision || null
+  });
+
+  if (!routing.accept) {
+    logWebhook('WEBHOOK_NOT_ACCEPTED', {
+      timestamp,
+      eventId: storedEvent.id,
+      eventType: event.type,
+      handler: routing.handler ? routing.handler.name : null,
+      outcome: routing.outcome,
+      reasonCode: routing.reasonCode,
+      bookingId: event.booking ? event.booking.id : null
+    });
+    completeEvent(storedEvent.id, { outcome: routing.outcome, response: routing.body });
+    return { storedEvent, routing, job: null };
+  }
+
+  // GHL calls run in the background worker so Nubimed/Make get an answer right away
+  // A redelivered dead-lettered event resumes after its last finished stage
+  const deadLetter = getDeadLetter(storedEvent.id);
+  const job = enqueueSync(storedEvent.id, event, {
+    handler: routing.handler.name,
+    progress: deadLetter ? deadLetter.progress : {}
+  });
+
+  logWebhook('WEBHOOK_ENQUEUED', {
+    timestamp,
+    eventId: storedEvent.id,
+    handler: routing.handler.name
+  });
+
+  return { storedEvent, routing, job };
+}
+
+/**
+ * Per-item result of a batch delivery: queued, ignored, duplicate or failed, with a reason
+ * Queued items are synced in the background; their final outcome is on GET /admin/events/:eventId
+ * Unknown events and validation failures are reported as ignored/failed respectively
+ */
+function buildBatchItemResult(index, event, accepted) {
+  const base = {
+    index,
+    eventType: event.type,
+    bookingId: event.booking ? event.booking.id : null
+  };
+
+  if (accepted.duplicate) {
+    const original = accepted.duplicate;
+    return {
+      ...base,
+      eventId: original.id,
+      status: 'duplicate',
+      reason: original.outcome
+        ? `Already received, original outcome: ${original.outcome}`
+        : 'Already received and still being processed'
+    };
+  }
+
+  const { storedEvent, routing, job } = accepted;
+  base.eventId = storedEvent.id;
+
+  if (!job) {
+    const result = {
+      ...base,
+      status: routing.outcome === 'ignored' || routing.outcome === 'unhandled' ? 'ignored' : 'failed',
+      reason: routing.body.message,
+      reasonCode: routing.reasonCode
+    };
+    if (routing.body.errors) result.errors = routing.body.errors;
+    if (routing.filterDecision) result.filterDecision = routing.filterDecision;
+    return result;
+  }
+
+  return {
+    ...base,
+    status: 'queued',
+    reason: routing.body.message,
+    handler: routing.handler.name
+  };
+}
+
+/**
+ * Accept every item of a batch delivery on its own and respond without waiting for the syncs
+ */
+function processBatch(items, { route, handlerName, defaultType, contentType, timestamp, pathTenantId }) {
+  const results = items.map((item, index) => {
+    let event;
+    try {
+      event = toTenantEvent(item, { contentType, timestamp, defaultType, pathTenantId });
+    } catch (normalizeError) {
+      return { index, eventId: null, status: 'failed', reason: normalizeError.message };
+    }
+
+    try {
+      return buildBatchItemResult(index, event, acceptEvent(event, { route, handlerName, timestamp, contentType }));
+    } catch (error) {
+      logError('WEBHOOK_BATCH_ITEM_ERROR', {
+        timestamp,
+        route,
+        index,
+        error: error.message,
+        stack: error.stack
+      });
+      return { index, eventId: null, eventType: event.type, status: 'failed', reason: error.message };
+    }
+  });
+
+  const summary = { queued: 0, ignored: 0, duplicate: 0, failed: 0 };
+  results.forEach(result => { summary[result.status] += 1; });
+
+  logWebhook('WEBHOOK_BATCH_ACCEPTED', { timestamp, route, total: results.length, summary });
+
+  return {
+    status: 'batch',
+    message: `Accepted batch of ${results.length} events`,
+    total: results.length,
+    summary,
+    results
+  };
+}
+
+/**
+ * Build the route handler shared by every Nubimed webhook route:
+ * normalize -> deduplicate -> store -> route to handler -> queue
+ * `handlerName` pins the handler (used by the legacy /deleted alias)
+ */
+function handleNubimedWebhook({ route, handlerName, defaultType }) {
+  return async (req, res) => {
+    const timestamp = new Date().toISOString();
+    const headers = req.headers;
+    const contentType = headers['content-type'] || '';
+    const pathTenantId = req.params.tenantId;
+    let event = null;
+    let storedEvent = null;
+
+    if (pathTenantId && !getTenant(pathTenantId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Unknown tenant "${pathTenantId}"`
+      });
+    }
+
+    try {
+      let batch;
+      try {
+        batch = extractBatch(req.body);
+        if (!batch) {
+          event = toTenantEvent(req.body, { contentType, timestamp, defaultType, pathTenantId });
+        }
+      } catch (normalizeError) {
+        if (normalizeError.status === 400) {
+          logError('INVALID_PAYLOAD', { error: normalizeError.message, payloadType: typeof req.body });
+          return res.status(400).json({
+            status: 'error',
+            message: normalizeError.message
+          });
+        }
+        throw normalizeError;
+      }
+
+      if (batch) {
+        logWebhook('WEBHOOK_BATCH_RECEIVED', { timestamp, route, headers, items: batch.length, ip: req.ip });
+
+        if (batch.length === 0 || batch.length > WEBHOOK_BATCH_MAX_ITEMS) {
+          return res.status(400).json({
+            status: 'error',
+            message: `Batch must contain between 1 and ${WEBHOOK_BATCH_MAX_ITEMS} events`
+          });
+        }
+
+        if (isDryRun(req)) {
+          return res.status(200).json(planBatch(batch, { handlerName, defaultType, contentType, timestamp, pathTenantId }));
+        }
+
+        const body = processBatch(batch, { route, handlerName, defaultType, contentType, timestamp, pathTenantId });
+        return res.status(200).json(body);
+      }
+
+      logWebhook('WEBHOOK_RECEIVED', {
+        timestamp,
+        route,
+        headers,
+        eventType: event.type,
+        source: event.source,
+        tenantId: event.tenantId,
+        payload: event.raw,
+        ip: req.ip
+      });
+
+      if (isDryRun(req)) {
+        const plan = planEvent(event, { handlerName });
+        logWebhook('WEBHOOK_DRY_RUN', { timestamp, route, eventType: event.type, decision: plan.decision });
+        return res.status(200).json(plan);
+      }
+
+      const accepted = acceptEvent(event, { route, handlerName, timestamp, contentType });
+      if (accepted.duplicate) {
+        return res.status(200).json(buildDuplicateResponse(accepted.duplicate));
+      }
+
+      storedEvent = accepted.storedEvent;
+      const { routing } = accepted;
+      res.status(routing.statusCode).json({ ...routing.body, eventId: storedEvent.id });
+
+    } catch (error) {
+      logError('WEBHOOK_ERROR', {
+        timestamp,
+        route,
+        error: error.message,
+        stack: error.stack,
+        payload: event ? event.raw : req.body
+      });
+
+      const body = {
+        status: 'error',
+        message: 'Webhook received but error occurred',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+      };
+
+      if (storedEvent) {
+        return respondWithOutcome(res, storedEvent, 'failed', 200, body, error.message);
+      }
+      res.status(200).json(body);
+    }
+  };
+}
+
+// Single entry point for every Nubimed callback, dispatched by event name
+router.post(
+  '/nubimed',
+  verifySignature(WEBHOOK_SIGNATURE_SCHEME),
+  handleNubimedWebhook({ route: 'nubimed' })
+);
+
+// Legacy alias for deleted appointments (cita-eliminada), always routed to the delete handler
+router.post(
+  '/nubimed/deleted',
+  verifySignature(WEBHOOK_DELETED_SIGNATURE_SCHEME),
+  handleNubimedWebhook({ route: 'nubimed/deleted', handlerName: 'booking_delete', defaultType: 'cita_eliminada' })
+);
+
+// Per-clinic paths for multi-tenant setups (the tenant comes from the path instead of data.center)
+router.post(
+  '/tenants/:tenantId/nubimed',
+  verifySignature(WEBHOOK_SIGNATURE_SCHEME),
+  handleNubimedWebhook({ route: 'nubimed' })
+);
+
+router.post(
+  '/tenants/:tenantId/nubimed/deleted',
+  verifySignature(WEBHOOK_DELETED_SIGNATURE_SCHEME),
+  handleNubimedWebhook({ route: 'nubimed/deleted', handlerName: 'booking_delete', defaultType: 'cita_eliminada' })
+);
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const { logError } = require('../utils/logger');
+const DEFAULT_CATALOG = require('../config/booking-statuses.json');
+
+// Semantic booking states, whatever Nubimed calls them
+const BOOKING_STATES = ['pending', 'confirmed', 'arrived', 'attended', 'no-show', 'cancelled'];
+const GHL_APPOINTMENT_STATUSES = ['new', 'confirmed', 'showed', 'noshow', 'cancelled', 'invalid'];
+
+/**
+ * "No asiste" / "no-asiste" / "NO_ASISTE" -> "no_asiste" (accents dropped)
+ */
+function normalizeStatusName(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * Validate a catalog and index its status names
+ * Catalog: { codes: { "4": state }, names: { state: [names] }, defaultState, ghlAppointmentStatus: { state: ghlStatus } }
+ */
+function compileCatalog(config) {
+  const problems = [];
+  const codes = config.codes || {};
+  const names = config.names || {};
+  const ghlStatuses = config.ghlAppointmentStatus || {};
+
+  for (const [code, state] of Object.entries(codes)) {
+    if (!BOOKING_STATES.includes(state)) problems.push(`codes.${code}: unknown state "${state}"`);
+  }
+  for (const [state, list] of Object.entries(names)) {
+    if (!BOOKING_STATES.includes(state)) problems.push(`names: unknown state "${state}"`);
+    if (!Array.isArray(list)) problems.push(`names.${state} must be a list`);
+  }
+  if (config.defaultState && !BOOKING_STATES.includes(config.defaultState)) {
+    problems.push(`defaultState: unknown state "${config.defaultState}"`);
+  }
+  for (const state of BOOKING_STATES) {
+    if (!GHL_APPOINTMENT_STATUSES.includes(ghlStatuses[state])) {
+      problems.push(`ghlAppointmentStatus.${state} must be one of ${GHL_APPOINTMENT_STATUSES.join(', ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid booking status catalog: ${problems.join('; ')}`);
+  }
+
+  // Longest names first, so "no_asiste" wins over "asiste"
+  const nameEntries = Object.entries(names)
+    .flatMap(([state, list]) => list.map(name => ({ name: normalizeStatusName(name), state })))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  return {
+    codes,
+    nameEntries,
+    defaultState: config.defaultState || null,
+    ghlAppointmentStatus: ghlStatuses
+  };
+}
+
+/**
+ * Catalog from BOOKING_STATUS_CATALOG (JSON) or BOOKING_STATUS_CATALOG_FILE, else config/booking-statuses.json
+ */
+function loadCatalog() {
+  let config = DEFAULT_CATALOG;
+  let source = 'default';
+
+  try {
+    if (process.env.BOOKING_STATUS_CATALOG) {
+      config = JSON.parse(process.env.BOOKING_STATUS_CATALOG);
+      source = 'BOOKING_STATUS_CATALOG';
+    } else if (process.env.BOOKING_STATUS_CATALOG_FILE) {
+      config = JSON.parse(fs.readFileSync(process.env.BOOKING_STATUS_CATALOG_FILE, 'utf8'));
+      source = process.env.BOOKING_STATUS_CATALOG_FILE;
+    }
+    return compileCatalog(config);
+  } catch (error) {
+    logError('BOOKING_STATUS_CATALOG_INVALID', { source, error: error.message });
+    throw error;
+  }
+}
+
+const catalog = loadCatalog();
+
+/**
+ * Semantic state of a Nubimed booking status (numeric code or name), null when unknown
+ * Names match exactly or as part of a longer status text ("Asiste a consulta")
+ */
+function getBookingState(status) {
+  if (status === null || status === undefined || status === '') return null;
+
+  if (typeof status === 'number' || /^\d+$/.test(String(status).trim())) {
+    return catalog.codes[String(status).trim()] || null;
+  }
+
+  const name = normalizeStatusName(status);
+  const exact = catalog.nameEntries.find(entry => entry.name === name);
+  if (exact) return exact.state;
+
+  const partial = catalog.nameEntries.find(entry => name.includes(entry.name));
+  return partial ? partial.state : null;
+}
+
+/**
+ * GHL appointmentStatus for a Nubimed booking status
+ * Unknown or missing statuses use the catalog's defaultState (confirmed)
+ */
+function getGhlAppointmentStatus(status) {
+  const state = getBookingState(status) || catalog.defaultState;
+  return state ? catalog.ghlAppointmentStatus[state] : 'confirmed';
+}
+
+/**
+ * GHL appointmentStatus for a semantic state, e.g. "attended" -> "showed"
+ */
+function getGhlStatusForState(state) {
+  return catalog.ghlAppointmentStatus[state] || null;
+}
+
+module.exports = {
+  getBookingState,
+  getGhlAppointmentStatus,
+  getGhlStatusForState,
+  normalizeStatusName,
+  BOOKING_STATES
+};
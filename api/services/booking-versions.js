@@ -0,0 +1,107 @@
+const { createJournal } = require('../utils/journal');
+const { logWarning } = require('../utils/logger');
+
+const journal = createJournal('booking-versions.jsonl');
+
+/**
+ * Source version of an event: Nubimed's updated_at, else the delivery timestamp
+ * stamped on the payload, else the time we received it
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ * @returns {{ version: string, source: string }|null}
+ */
+function getEventVersion(event) {
+  const candidates = [
+    ['updated_at', event.timestamps.updatedAt],
+    ['delivered_at', event.timestamps.deliveredAt],
+    ['received_at', event.timestamps.receivedAt]
+  ];
+
+  for (const [source, value] of candidates) {
+    const time = value ? new Date(value).getTime() : NaN;
+    if (!isNaN(time)) {
+      return { version: new Date(time).toISOString(), source };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Last version applied to GHL for a Nubimed booking of a tenant
+ * Entry: { id: "tenantId:bookingId", bookingId, tenantId, version, versionSource, eventName, deleted, appliedAt }
+ */
+function getBookingVersion(tenantId, bookingId) {
+  return bookingId ? journal.get(`${tenantId}:${bookingId}`) : null;
+}
+
+/**
+ * Decide if an event is older than what was already applied for its booking
+ * Deleted bookings reject every later upsert so a late update cannot bring them back
+ * @returns {{ stale: boolean, reason?: string, lastApplied?: Object }}
+ */
+function checkEventOrder(event) {
+  const bookingId = event.booking ? event.booking.id : null;
+  const lastApplied = getBookingVersion(event.tenantId, bookingId);
+  const current = getEventVersion(event);
+
+  if (!lastApplied) {
+    return { stale: false };
+  }
+
+  let reason = null;
+  if (lastApplied.deleted) {
+    reason = `Booking ${bookingId} was deleted (${lastApplied.version}), not recreating it`;
+  } else if (current && current.version < lastApplied.version) {
+    reason = `Event version ${current.version} (${current.source}) is older than applied version ${lastApplied.version}`;
+  }
+
+  if (!reason) {
+    return { stale: false, lastApplied };
+  }
+
+  logWarning('STALE_EVENT', {
+    bookingId,
+    eventType: event.type,
+    eventVersion: current ? current.version : null,
+    versionSource: current ? current.source : null,
+    appliedVersion: lastApplied.version,
+    appliedEvent: lastApplied.eventName,
+    deleted: !!lastApplied.deleted,
+    reason
+  });
+
+  return { stale: true, reason, lastApplied };
+}
+
+/**
+ * Remember the version of an event once it has been applied to GHL
+ * Never moves a booking back to an older version
+ */
+function recordAppliedVersion(event, { deleted = false } = {}) {
+  const bookingId = event.booking ? event.booking.id : null;
+  const current = getEventVersion(event);
+  if (!bookingId || !current) return null;
+
+  const previous = getBookingVersion(event.tenantId, bookingId);
+  if (previous && previous.version > current.version && !deleted) {
+    return previous;
+  }
+
+  return journal.set({
+    id: `${event.tenantId}:${bookingId}`,
+    bookingId: String(bookingId),
+    tenantId: event.tenantId,
+    version: previous && previous.version > current.version ? previous.version : current.version,
+    versionSource: current.source,
+    eventName: event.type,
+    deleted,
+    appliedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  getEventVersion,
+  getBookingVersion,
+  checkEventOrder,
+  recordAppliedVersion
+};
@@ -0,0 +1,150 @@
+const { logError, logSuccess, logWarning } = require('../utils/logger');
+const { ghlFetch, requireCredentials, parseResponse, toApiError } = require('./ghl-client');
+const { normalizeStatusName } = require('./booking-status');
+
+// Nubimed budget status names per state, anything else is still pending
+const BUDGET_STATUS_NAMES = {
+  accepted: ['aceptado', 'aceptada', 'aprobado', 'aprobada', 'accepted', 'approved', 'en_tratamiento'],
+  rejected: ['rechazado', 'rechazada', 'no_aceptado', 'anulado', 'anulada', 'cancelado', 'rejected', 'declined', 'cancelled']
+};
+
+// GHL opportunity status per budget state
+const OPPORTUNITY_STATUSES = {
+  pending: 'open',
+  accepted: 'won',
+  rejected: 'lost'
+};
+
+/**
+ * Budget state (pending, accepted, rejected) of a raw Nubimed status
+ */
+function getBudgetState(status) {
+  if (status === null || status === undefined) return 'pending';
+
+  const name = normalizeStatusName(status);
+  for (const [state, names] of Object.entries(BUDGET_STATUS_NAMES)) {
+    if (names.includes(name)) return state;
+  }
+  return 'pending';
+}
+
+// Budget ID marker in the opportunity name, how an opportunity is found again without the local record
+function budgetMarker(budgetId) {
+  return `(presupuesto Nubimed #${budgetId})`;
+}
+
+/**
+ * Opportunity fields of a budget: treatment and doctor in the name, total as monetary value,
+ * stage and status from the budget state
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function buildOpportunityPayload(tenant, event) {
+  const budget = event.budget;
+  const { pipelineId, stages } = tenant.ghl.budgetPipeline;
+  const state = getBudgetState(budget.status);
+  const name = [budget.treatment || 'Presupuesto', event.doctor && event.doctor.fullName]
+    .filter(Boolean)
+    .join(' - ');
+
+  return {
+    pipelineId,
+    pipelineStageId: stages[state],
+    status: OPPORTUNITY_STATUSES[state],
+    name: `${name} ${budgetMarker(budget.id)}`,
+    monetaryValue: budget.amount || 0
+  };
+}
+
+/**
+ * EH_Plan de Tratamiento / EH_Valor tratamiento of the contact, from the latest budget
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedBudget} budget
+ */
+function buildTreatmentFieldsPayload(tenant, budget) {
+  const customFields = [];
+  if (tenant.customFields.treatmentPlan) {
+    customFields.push({ id: tenant.customFields.treatmentPlan, field_value: budget.treatment || '' });
+  }
+  if (tenant.customFields.treatmentValue) {
+    customFields.push({
+      id: tenant.customFields.treatmentValue,
+      field_value: budget.amount !== null ? budget.amount.toFixed(2) : ''
+    });
+  }
+  return { customFields };
+}
+
+/**
+ * Opportunity of a budget on a contact, searched by the budget marker in its name
+ * @returns {Promise<string|null>}
+ */
+async function findBudgetOpportunityId(tenant, contactId, budgetId) {
+  const { pipelineId } = tenant.ghl.budgetPipeline;
+  const response = await ghlFetch(
+    tenant,
+    `/opportunities/search?location_id=${tenant.ghl.locationId}&pipeline_id=${pipelineId}&contact_id=${contactId}`
+  );
+  const result = await parseResponse(response);
+
+  if (!response.ok) {
+    logError('OPPORTUNITY_SEARCH_ERROR', { contactId, budgetId, status: response.status, response: result });
+    throw toApiError(response, result);
+  }
+
+  const marker = budgetMarker(budgetId);
+  const match = (result.opportunities || []).find(opportunity => (opportunity.name || '').includes(marker));
+  return match ? match.id : null;
+}
+
+/**
+ * Create the budget's opportunity, or update it when it exists
+ * An opportunity deleted in GHL is created again
+ * @returns {Promise<{ opportunityId: string, action: 'created'|'updated' }>}
+ */
+async function saveBudgetOpportunity(tenant, contactId, opportunityId, payload) {
+  requireCredentials(tenant);
+
+  if (opportunityId) {
+    const response = await ghlFetch(tenant, `/opportunities/${opportunityId}`, {
+      method: 'PUT',
+      body: payload
+    });
+
+    if (response.ok) {
+      logSuccess('OPPORTUNITY_UPDATED', { contactId, opportunityId, pipelineStageId: payload.pipelineStageId });
+      return { opportunityId, action: 'updated' };
+    }
+
+    const result = await parseResponse(response);
+    if (response.status !== 404) {
+      logError('OPPORTUNITY_UPDATE_ERROR', { contactId, opportunityId, status: response.status, response: result });
+      throw toApiError(response, result);
+    }
+
+    logWarning('OPPORTUNITY_NOT_FOUND', { contactId, opportunityId, message: 'Opportunity deleted in GHL, creating it again' });
+  }
+
+  const response = await ghlFetch(tenant, '/opportunities/', {
+    method: 'POST',
+    body: { ...payload, locationId: tenant.ghl.locationId, contactId }
+  });
+  const result = await parseResponse(response);
+
+  if (!response.ok) {
+    logError('OPPORTUNITY_CREATE_ERROR', { contactId, status: response.status, response: result });
+    throw toApiError(response, result);
+  }
+
+  const createdId = result.opportunity?.id || result.id;
+  logSuccess('OPPORTUNITY_CREATED', { contactId, opportunityId: createdId, pipelineStageId: payload.pipelineStageId });
+  return { opportunityId: createdId, action: 'created' };
+}
+
+module.exports = {
+  getBudgetState,
+  buildOpportunityPayload,
+  buildTreatmentFieldsPayload,
+  findBudgetOpportunityId,
+  saveBudgetOpportunity
+};
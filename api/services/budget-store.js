@@ -0,0 +1,34 @@
+const { createJournal } = require('../utils/journal');
+
+const journal = createJournal('budgets.jsonl');
+
+/**
+ * GHL opportunity of a Nubimed budget of a tenant
+ * Entry: { id: "tenantId:budgetId", tenantId, budgetId, number, contactId, opportunityId, state, version, updatedAt }
+ */
+function getBudgetRecord(tenantId, budgetId) {
+  return budgetId ? journal.get(`${tenantId}:${budgetId}`) : null;
+}
+
+/**
+ * Merge fields into the record of a budget
+ */
+function saveBudgetRecord(tenantId, budgetId, fields) {
+  const previous = getBudgetRecord(tenantId, budgetId) || {
+    tenantId,
+    budgetId: String(budgetId),
+    opportunityId: null
+  };
+
+  return journal.set({
+    ...previous,
+    ...fields,
+    id: `${tenantId}:${budgetId}`,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  getBudgetRecord,
+  saveBudgetRecord
+};
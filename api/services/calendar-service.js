@@ -1,75 +1,49 @@
 const logger = require('../utils/logger');
 const { logError, logSuccess, logWarning } = logger;
-
-const GHL_API_BASE = process.env.GHL_API_BASE || 'https://services.leadconnectorhq.com';
-const GHL_API_TOKEN = process.env.GHL_API_TOKEN;
-const GHL_LOCATION_ID = process.env.GHL_LOCATION_ID;
-const GHL_CALENDAR_ID = process.env.GHL_CALENDAR_ID || 'ZRPJchKgGQpwzROdPLuH';
-const GHL_ASSIGNED_USER_ID = process.env.GHL_ASSIGNED_USER_ID || 'BXixxlTY2nvR9n5BZUp8';
+const { getPrimaryPatient } = require('../models/nubimed-event');
+const { ghlFetch, requireCredentials, parseResponse, toApiError } = require('./ghl-client');
+const { getCalendarId } = require('./tenant-registry');
+const { getBookingState, getGhlAppointmentStatus } = require('./booking-status');
 
 /**
- * Extract appointment data from Nubimed payload
+ * Extract appointment data from a canonical Nubimed event
+ * @param {import('../models/nubimed-event').NubimedEvent} event
  */
-function extractAppointmentData(payload) {
-  const data = payload.data || payload;
-  const booking = data.booking || payload.appointment || payload;
-  
-  // Extract booking ID from Nubimed
-  const nubimedBookingId = booking.id || data.booking_id || payload.booking_id || null;
-  
-  // Extract date/time
-  const startAt = booking.start_at || booking.startAt || data.start_at || data.startAt || booking.date || booking.datetime;
-  const endAt = booking.end_at || booking.endAt || data.end_at || data.endAt || booking.end_date;
+function extractAppointmentData(event) {
+  const booking = event.booking || {};
+  const patient = getPrimaryPatient(event) || {};
   
-  // Extract patient info for appointment title
-  let patient = {};
-  if (booking && booking.patients && Array.isArray(booking.patients) && booking.patients.length > 0) {
-    patient = booking.patients[0];
-  } else if (data.patients && Array.isArray(data.patients) && data.patients.length > 0) {
-    patient = data.patients[0];
-  } else if (booking && booking.patient) {
-    patient = booking.patient;
-  } else {
-    patient = payload.patient || {};
-  }
-  
-  const patientName = patient.name || patient.firstName || '';
-  const patientSurname = patient.surname || patient.lastName || '';
+  const patientName = patient.firstName || '';
+  const patientSurname = patient.lastName || '';
   const fullName = `${patientName} ${patientSurname}`.trim() || 'Paciente';
   
-  // Extract comment/notes
-  const comment = booking.comment || data.comment || booking.notes || data.notes || '';
-  
-  // Extract doctor info
-  const doctor = data.doctor || booking.doctor || {};
-  const doctorName = doctor.name || '';
-  const doctorSurname = doctor.surname || '';
-  const doctorFullName = `${doctorName} ${doctorSurname}`.trim() || '';
-  
   return {
-    nubimedBookingId,
-    startAt,
-    endAt,
+    nubimedBookingId: booking.id || null,
+    startAt: booking.startAt || null,
+    endAt: booking.endAt || null,
     patientName: fullName,
-    comment,
-    doctorName: doctorFullName
+    comment: booking.comment || '',
+    status: booking.status !== undefined ? booking.status : null,
+    state: getBookingState(booking.status),
+    doctorId: event.doctor ? event.doctor.id : null,
+    doctorName: event.doctor ? event.doctor.fullName : ''
   };
 }
 
 /**
- * Format date for GHL API (ISO 8601 format in Europe/Madrid timezone)
+ * Format date for GHL API (ISO 8601 format in the clinic timezone, Europe/Madrid by default)
  * Nubimed sends dates with timezone offset (e.g., "2026-02-12T17:30:00+01:00")
- * We convert to Madrid timezone and format as ISO 8601 with correct offset
+ * We convert to the clinic timezone and format as ISO 8601 with correct offset
  */
-function formatDateForGHL(date) {
+function formatDateForGHL(date, timezone = 'Europe/Madrid') {
   if (!date) return null;
   
   const d = new Date(date);
   if (isNaN(d.getTime())) return null;
   
-  // Get date/time components in Madrid timezone (Europe/Madrid)
+  // Get date/time components in the clinic timezone
   const formatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'Europe/Madrid',
+    timeZone: timezone,
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
@@ -119,68 +93,77 @@ function formatDateForGHL(date) {
 }
 
 /**
- * Create or update appointment in GHL calendar
+ * Build the GHL appointment body (POST or PUT /calendars/events/appointments) for extracted appointment data
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {ReturnType<typeof extractAppointmentData>} appointmentData
+ * @param {string} contactId
  */
-async function createOrUpdateAppointment(nubimedPayload, contactId, existingAppointmentId = null) {
-  try {
-    if (!GHL_API_TOKEN) {
-      throw new Error('GHL_API_TOKEN environment variable is required');
-    }
+function buildAppointmentPayload(tenant, appointmentData, contactId) {
+  if (!appointmentData.startAt) {
+    throw new Error('Appointment start time is required');
+  }
 
-    if (!GHL_LOCATION_ID) {
-      throw new Error('GHL_LOCATION_ID environment variable is required');
-    }
+  const startDate = formatDateForGHL(appointmentData.startAt, tenant.timezone);
+  const endDate = formatDateForGHL(appointmentData.endAt, tenant.timezone) || formatDateForGHL(
+    new Date(new Date(appointmentData.startAt).getTime() + 30 * 60 * 1000), // Default 30 min if no end time
+    tenant.timezone
+  );
 
-    if (!contactId) {
-      throw new Error('Contact ID is required to create appointment');
-    }
+  if (!startDate) {
+    throw new Error('Invalid appointment date format');
+  }
 
-    const appointmentData = extractAppointmentData(nubimedPayload);
-    
-    if (!appointmentData.startAt) {
-      throw new Error('Appointment start time is required');
-    }
+  // Build appointment title
+  let title = appointmentData.patientName;
+  if (appointmentData.doctorName) {
+    title = `${appointmentData.patientName} - ${appointmentData.doctorName}`;
+  }
 
-    const startDate = formatDateForGHL(appointmentData.startAt);
-    const endDate = formatDateForGHL(appointmentData.endAt) || formatDateForGHL(
-      new Date(new Date(appointmentData.startAt).getTime() + 30 * 60 * 1000) // Default 30 min if no end time
-    );
+  // Build appointment data for GHL
+  // Required fields: locationId, calendarId, contactId, assignedUserId, title, startTime, endTime
+  const appointmentPayload = {
+    locationId: tenant.ghl.locationId,
+    calendarId: getCalendarId(tenant, appointmentData.doctorId),
+    contactId: contactId,
+    assignedUserId: tenant.ghl.assignedUserId || undefined,
+    title: title,
+    startTime: startDate,
+    endTime: endDate,
+    // Nubimed status -> semantic state -> GHL status (see config/booking-statuses.json)
+    appointmentStatus: getGhlAppointmentStatus(appointmentData.status),
+    ignoreFreeSlotValidation: true  // Ignore slot availability validation
+  };
+  
+  // Optional fields (only add if they have values)
+  if (appointmentData.comment && appointmentData.comment.trim()) {
+    appointmentPayload.description = appointmentData.comment;
+  }
 
-    if (!startDate) {
-      throw new Error('Invalid appointment date format');
+  // Remove undefined fields
+  Object.keys(appointmentPayload).forEach(key => {
+    if (appointmentPayload[key] === undefined) {
+      delete appointmentPayload[key];
     }
+  });
 
-    // Build appointment title
-    let title = appointmentData.patientName;
-    if (appointmentData.doctorName) {
-      title = `${appointmentData.patientName} - ${appointmentData.doctorName}`;
-    }
+  return appointmentPayload;
+}
 
-    // Build appointment data for GHL
-    // Required fields: locationId, calendarId, contactId, assignedUserId, title, startTime, endTime
-    const appointmentPayload = {
-      locationId: GHL_LOCATION_ID,
-      calendarId: GHL_CALENDAR_ID,
-      contactId: contactId,
-      assignedUserId: GHL_ASSIGNED_USER_ID,
-      title: title,
-      startTime: startDate,
-      endTime: endDate,
-      appointmentStatus: "confirmed",
-      ignoreFreeSlotValidation: true  // Ignore slot availability validation
-    };
-    
-    // Optional fields (only add if they have values)
-    if (appointmentData.comment && appointmentData.comment.trim()) {
-      appointmentPayload.description = appointmentData.comment;
+/**
+ * Create or update appointment in GHL calendar
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+async function createOrUpdateAppointment(tenant, event, contactId, existingAppointmentId = null) {
+  try {
+    requireCredentials(tenant);
+
+    if (!contactId) {
+      throw new Error('Contact ID is required to create appointment');
     }
 
-    // Remove undefined fields
-    Object.keys(appointmentPayload).forEach(key => {
-      if (appointmentPayload[key] === undefined) {
-        delete appointmentPayload[key];
-      }
-    });
+    const appointmentData = extractAppointmentData(event);
+    const appointmentPayload = buildAppointmentPayload(tenant, appointmentData, contactId);
 
     logSuccess('APPOINTMENT_CREATE_ATTEMPT', {
       appointmentPayload,
@@ -192,143 +175,117 @@ async function createOrUpdateAppointment(nubimedPayload, contactId, existingAppo
     let result;
 
     // If we have an existing appointment ID, check if update is needed
+    // Only a 404 on it falls back to creating the appointment: any other failure (429/5xx,
+    // network) is thrown for the sync queue to retry, creating then would book it twice
     if (existingAppointmentId) {
-      try {
-        // First, get the existing appointment to compare data
-        const getResponse = await fetch(`${GHL_API_BASE}/calendars/events/appointments/${existingAppointmentId}`, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${GHL_API_TOKEN}`,
-            'Version': '2021-07-28'
-          }
-        });
+      // First, get the existing appointment to compare data
+      const getResponse = await ghlFetch(tenant, `/calendars/events/appointments/${existingAppointmentId}`);
 
-        if (getResponse.ok) {
-          const getResponseText = await getResponse.text();
-          let existingAppointment;
-          try {
-            existingAppointment = JSON.parse(getResponseText);
-          } catch (e) {
-            throw new Error(`Invalid JSON response when getting appointment: ${getResponseText}`);
-          }
-          
-          // According to GHL API docs: GET /calendars/events/appointments/:eventId
-          // Response structure may vary, try multiple possible paths
-          const existing = existingAppointment.appointment || existingAppointment.event || existingAppointment;
-          
-          // Compare key fields to see if update is needed
-          // GHL API returns startTime/endTime in ISO format
-          const existingStartTime = existing.startTime || existing.start_at || existing.startDate;
-          const existingEndTime = existing.endTime || existing.end_at || existing.endDate;
-          const existingTitle = existing.title || '';
-          const existingDescription = existing.description || existing.notes || '';
-          
-          const newStartTime = appointmentPayload.startTime;
-          const newEndTime = appointmentPayload.endTime;
-          const newTitle = appointmentPayload.title;
-          const newDescription = appointmentPayload.description || '';
-          
-          // Check if data actually changed
-          const hasChanges = 
-            existingStartTime !== newStartTime ||
-            existingEndTime !== newEndTime ||
-            existingTitle !== newTitle ||
-            existingDescription !== newDescription;
-          
-          if (!hasChanges) {
-            logSuccess('APPOINTMENT_NO_CHANGES', {
-              appointmentId: existingAppointmentId,
-              nubimedBookingId: appointmentData.nubimedBookingId,
-              message: 'Appointment data unchanged, skipping update'
-            });
-            return {
-              success: true,
-              appointmentId: existingAppointmentId,
-              nubimedBookingId: appointmentData.nubimedBookingId,
-              action: 'no_changes'
-            };
-          }
-          
-          logSuccess('APPOINTMENT_HAS_CHANGES', {
-            appointmentId: existingAppointmentId,
-            nubimedBookingId: appointmentData.nubimedBookingId,
-            changes: {
-              startTime: existingStartTime !== newStartTime,
-              endTime: existingEndTime !== newEndTime,
-              title: existingTitle !== newTitle,
-              description: existingDescription !== newDescription
-            }
-          });
-        }
+      // A failed read only skips the comparison, the PUT below decides
+      if (getResponse.ok) {
+        const existingAppointment = await parseResponse(getResponse);
         
-        // Proceed with update
-        response = await fetch(`${GHL_API_BASE}/calendars/events/appointments/${existingAppointmentId}`, {
-          method: 'PUT',
-          headers: {
-            'Authorization': `Bearer ${GHL_API_TOKEN}`,
-            'Version': '2021-07-28',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(appointmentPayload)
-        });
-
-        const responseText = await response.text();
-        try {
-          result = JSON.parse(responseText);
-        } catch (e) {
-          throw new Error(`Invalid JSON response: ${responseText}`);
-        }
-
-        if (response.ok) {
-          // Extract appointment ID from response (should be same as existingAppointmentId)
-          const updatedAppointmentId = result.appointment?.id || result.id || result.event?.id || existingAppointmentId;
-          
-          logSuccess('APPOINTMENT_UPDATED', {
-            appointmentId: updatedAppointmentId,
-            existingAppointmentId: existingAppointmentId,
+        // According to GHL API docs: GET /calendars/events/appointments/:eventId
+        // Response structure may vary, try multiple possible paths
+        const existing = existingAppointment.appointment || existingAppointment.event || existingAppointment;
+        
+        // Compare key fields to see if update is needed
+        // GHL API returns startTime/endTime in ISO format
+        const existingStartTime = existing.startTime || existing.start_at || existing.startDate;
+        const existingEndTime = existing.endTime || existing.end_at || existing.endDate;
+        const existingTitle = existing.title || '';
+        const existingDescription = existing.description || existing.notes || '';
+        const existingStatus = existing.appointmentStatus || existing.status || '';
+        
+        const newStartTime = appointmentPayload.startTime;
+        const newEndTime = appointmentPayload.endTime;
+        const newTitle = appointmentPayload.title;
+        const newDescription = appointmentPayload.description || '';
+        const newStatus = appointmentPayload.appointmentStatus;
+        
+        // Check if data actually changed
+        const hasChanges = 
+          existingStartTime !== newStartTime ||
+          existingEndTime !== newEndTime ||
+          existingTitle !== newTitle ||
+          existingDescription !== newDescription ||
+          existingStatus !== newStatus;
+        
+        if (!hasChanges) {
+          logSuccess('APPOINTMENT_NO_CHANGES', {
+            appointmentId: existingAppointmentId,
             nubimedBookingId: appointmentData.nubimedBookingId,
-            idChanged: updatedAppointmentId !== existingAppointmentId
+            message: 'Appointment data unchanged, skipping update'
           });
           return {
             success: true,
-            appointmentId: updatedAppointmentId,
+            appointmentId: existingAppointmentId,
             nubimedBookingId: appointmentData.nubimedBookingId,
-            action: 'updated',
-            idChanged: updatedAppointmentId !== existingAppointmentId
+            action: 'no_changes'
           };
-        } else {
-          // If update fails (e.g., appointment doesn't exist), fall through to create
-          logWarning('APPOINTMENT_UPDATE_FAILED', {
-            status: response.status,
-            response: result,
-            willTryCreate: true
-          });
         }
-      } catch (updateError) {
-        logWarning('APPOINTMENT_UPDATE_ERROR', {
-          error: updateError.message,
-          willTryCreate: true
+        
+        logSuccess('APPOINTMENT_HAS_CHANGES', {
+          appointmentId: existingAppointmentId,
+          nubimedBookingId: appointmentData.nubimedBookingId,
+          changes: {
+            startTime: existingStartTime !== newStartTime,
+            endTime: existingEndTime !== newEndTime,
+            title: existingTitle !== newTitle,
+            description: existingDescription !== newDescription,
+            appointmentStatus: existingStatus !== newStatus
+          }
         });
       }
+      
+      response = await ghlFetch(tenant, `/calendars/events/appointments/${existingAppointmentId}`, {
+        method: 'PUT',
+        body: appointmentPayload
+      });
+      result = await parseResponse(response);
+
+      if (response.ok) {
+        // Extract appointment ID from response (should be same as existingAppointmentId)
+        const updatedAppointmentId = result.appointment?.id || result.id || result.event?.id || existingAppointmentId;
+        
+        logSuccess('APPOINTMENT_UPDATED', {
+          appointmentId: updatedAppointmentId,
+          existingAppointmentId: existingAppointmentId,
+          nubimedBookingId: appointmentData.nubimedBookingId,
+          idChanged: updatedAppointmentId !== existingAppointmentId
+        });
+        return {
+          success: true,
+          appointmentId: updatedAppointmentId,
+          nubimedBookingId: appointmentData.nubimedBookingId,
+          action: 'updated',
+          idChanged: updatedAppointmentId !== existingAppointmentId
+        };
+      }
+
+      if (response.status !== 404) {
+        logError('APPOINTMENT_UPDATE_ERROR', {
+          appointmentId: existingAppointmentId,
+          status: response.status,
+          response: result
+        });
+        throw toApiError(response, result);
+      }
+
+      logWarning('APPOINTMENT_UPDATE_FAILED', {
+        appointmentId: existingAppointmentId,
+        status: response.status,
+        response: result,
+        willTryCreate: true
+      });
     }
 
-    // Create new appointment (or if update failed)
-    response = await fetch(`${GHL_API_BASE}/calendars/events/appointments`, {
+    // Create new appointment (or if the mapped one no longer exists)
+    response = await ghlFetch(tenant, '/calendars/events/appointments', {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GHL_API_TOKEN}`,
-        'Version': '2021-07-28',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(appointmentPayload)
+      body: appointmentPayload
     });
-
-    const responseText = await response.text();
-    try {
-      result = JSON.parse(responseText);
-    } catch (e) {
-      throw new Error(`Invalid JSON response: ${responseText}`);
-    }
+    result = await parseResponse(response);
 
     if (!response.ok) {
       logError('APPOINTMENT_CREATE_ERROR', {
@@ -337,11 +294,13 @@ async function createOrUpdateAppointment(nubimedPayload, contactId, existingAppo
         response: result,
         appointmentPayload
       });
-      
-      throw new Error(`GHL API error (${response.status}): ${result.message || JSON.stringify(result)}`);
+      throw toApiError(response, result);
     }
 
     const appointmentId = result.appointment?.id || result.id || result.event?.id;
+    if (!appointmentId) {
+      throw new Error(`GHL returned no appointment ID: ${JSON.stringify(result)}`);
+    }
 
     logSuccess('APPOINTMENT_CREATED', {
       appointmentId,
@@ -359,7 +318,7 @@ async function createOrUpdateAppointment(nubimedPayload, contactId, existingAppo
     logError('APPOINTMENT_SYNC_ERROR', {
       error: error.message,
       stack: error.stack,
-      payload: nubimedPayload
+      payload: event.raw
     });
     throw error;
   }
@@ -368,11 +327,9 @@ async function createOrUpdateAppointment(nubimedPayload, contactId, existingAppo
 /**
  * Delete appointment from GHL calendar
  */
-async function deleteAppointment(appointmentId) {
+async function deleteAppointment(tenant, appointmentId) {
   try {
-    if (!GHL_API_TOKEN) {
-      throw new Error('GHL_API_TOKEN environment variable is required');
-    }
+    requireCredentials(tenant);
 
     if (!appointmentId) {
       throw new Error('Appointment ID is required to delete appointment');
@@ -382,22 +339,12 @@ async function deleteAppointment(appointmentId) {
       appointmentId
     });
 
-    const response = await fetch(`${GHL_API_BASE}/calendars/events/${appointmentId}`, {
-      method: 'DELETE',
-      headers: {
-        'Authorization': `Bearer ${GHL_API_TOKEN}`,
-        'Version': '2021-07-28'
-      }
+    const response = await ghlFetch(tenant, `/calendars/events/${appointmentId}`, {
+      method: 'DELETE'
     });
 
     if (!response.ok) {
-      const responseText = await response.text();
-      let result;
-      try {
-        result = JSON.parse(responseText);
-      } catch (e) {
-        result = { message: responseText };
-      }
+      const result = await parseResponse(response);
 
       // If appointment not found, consider it already deleted (success)
       if (response.status === 404) {
@@ -417,8 +364,7 @@ async function deleteAppointment(appointmentId) {
         statusText: response.statusText,
         response: result
       });
-      
-      throw new Error(`GHL API error (${response.status}): ${result.message || JSON.stringify(result)}`);
+      throw toApiError(response, result);
     }
 
     logSuccess('APPOINTMENT_DELETED', {
@@ -441,6 +387,45 @@ async function deleteAppointment(appointmentId) {
   }
 }
 
+/**
+ * Set the status of a GHL appointment (e.g. "showed"), leaving its other fields as they are
+ * A missing appointment (deleted in GHL) is reported as not_found instead of failing
+ */
+async function updateAppointmentStatus(tenant, appointmentId, appointmentStatus) {
+  requireCredentials(tenant);
+
+  const response = await ghlFetch(tenant, `/calendars/events/appointments/${appointmentId}`, {
+    method: 'PUT',
+    body: { appointmentStatus }
+  });
+
+  if (response.status === 404) {
+    logWarning('APPOINTMENT_NOT_FOUND', {
+      appointmentId,
+      message: 'Appointment deleted in GHL, status not updated'
+    });
+    return { success: true, appointmentId, action: 'not_found' };
+  }
+
+  if (!response.ok) {
+    const result = await parseResponse(response);
+    logError('APPOINTMENT_STATUS_UPDATE_ERROR', {
+      appointmentId,
+      appointmentStatus,
+      status: response.status,
+      response: result
+    });
+    throw toApiError(response, result);
+  }
+
+  logSuccess('APPOINTMENT_STATUS_UPDATED', {
+    appointmentId,
+    appointmentStatus
+  });
+
+  return { success: true, appointmentId, action: appointmentStatus };
+}
+
 /**
  * Parse comma-separated IDs string into array
  */
@@ -473,25 +458,19 @@ function formatCommaSeparatedIds(ids) {
 /**
  * Get existing appointment ID from contact custom fields
  * Uses comma-separated format, maintains order to match booking IDs
+ * Returns null only when the booking is not mapped (or the contact is gone); a failed lookup
+ * throws with the HTTP status, so the job is retried instead of creating a second appointment
  */
-async function getExistingAppointmentId(contactId, nubimedBookingId) {
+async function getExistingAppointmentId(tenant, contactId, nubimedBookingId) {
   try {
     if (!contactId || !nubimedBookingId) {
       return null;
     }
 
     // Search for contact to get custom fields
-    const response = await fetch(
-      `${GHL_API_BASE}/contacts/${contactId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${GHL_API_TOKEN}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const response = await ghlFetch(tenant, `/contacts/${contactId}`);
 
-    if (!response.ok) {
+    if (response.status === 404) {
       logWarning('CONTACT_FETCH_FAILED', {
         contactId,
         status: response.status
@@ -499,6 +478,12 @@ async function getExistingAppointmentId(contactId, nubimedBookingId) {
       return null;
     }
 
+    if (!response.ok) {
+      const fetchError = new Error(`Failed to fetch contact ${contactId} (${response.status})`);
+      fetchError.status = response.status;
+      throw fetchError;
+    }
+
     const result = await response.json();
     const contact = result.contact || result;
 
@@ -507,13 +492,13 @@ async function getExistingAppointmentId(contactId, nubimedBookingId) {
     
     // Look for appointment IDs field
     const appointmentIdsField = customFields.find(field => 
-      field.id === 'sDiKLOU2RCLGSGubvImI' || 
+      field.id === tenant.customFields.appointmentIds || 
       field.fieldKey === 'contact.appointment_ids'
     );
 
     // Look for booking IDs field
     const bookingIdsField = customFields.find(field => 
-      field.id === 'cp4F0qVNGNclyphsr5jk' || 
+      field.id === tenant.customFields.bookingIds || 
       field.fieldKey === 'contact.nubimed_booking_id'
     );
 
@@ -540,40 +525,55 @@ async function getExistingAppointmentId(contactId, nubimedBookingId) {
   } catch (error) {
     logWarning('GET_APPOINTMENT_ID_ERROR', {
       error: error.message,
+      status: error.status,
       contactId,
       nubimedBookingId
     });
-    return null;
+    throw error;
   }
 }
 
+/**
+ * Build the PUT /contacts/{contactId} body that stores the appointment/booking ID lists
+ * Both values are comma-separated, in the same order (see updateContactAppointmentIds)
+ */
+function buildAppointmentIdsPayload(tenant, appointmentIdsStr, bookingIdsStr) {
+  return {
+    customFields: [
+      {
+        id: tenant.customFields.appointmentIds, // Appointment IDs (comma-separated)
+        field_value: appointmentIdsStr
+      },
+      {
+        id: tenant.customFields.bookingIds, // Nubimed Booking IDs (comma-separated)
+        field_value: bookingIdsStr
+      }
+    ]
+  };
+}
+
 /**
  * Update contact custom fields with appointment IDs
  * Uses comma-separated format, maintains order to match booking IDs with appointment IDs
+ * Throws if the mapping could not be saved, otherwise the next update would create a duplicate appointment
  */
-async function updateContactAppointmentIds(contactId, nubimedBookingId, ghlAppointmentId) {
+async function updateContactAppointmentIds(tenant, contactId, nubimedBookingId, ghlAppointmentId) {
   try {
     if (!contactId || !nubimedBookingId || !ghlAppointmentId) {
       return;
     }
 
     // Get current contact data
-    const response = await fetch(
-      `${GHL_API_BASE}/contacts/${contactId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${GHL_API_TOKEN}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const response = await ghlFetch(tenant, `/contacts/${contactId}`);
 
     if (!response.ok) {
       logWarning('CONTACT_FETCH_FOR_UPDATE_FAILED', {
         contactId,
         status: response.status
       });
-      return;
+      const fetchError = new Error(`Failed to fetch contact ${contactId} for appointment ID update (${response.status})`);
+      fetchError.status = response.status;
+      throw fetchError;
     }
 
     const result = await response.json();
@@ -584,13 +584,13 @@ async function updateContactAppointmentIds(contactId, nubimedBookingId, ghlAppoi
     
     // Find existing appointment IDs field
     const appointmentIdsField = customFields.find(field => 
-      field.id === 'sDiKLOU2RCLGSGubvImI' || 
+      field.id === tenant.customFields.appointmentIds || 
       field.fieldKey === 'contact.appointment_ids'
     );
 
     // Find existing booking IDs field
     const bookingIdsField = customFields.find(field => 
-      field.id === 'cp4F0qVNGNclyphsr5jk' || 
+      field.id === tenant.customFields.bookingIds || 
       field.fieldKey === 'contact.nubimed_booking_id'
     );
 
@@ -634,39 +634,21 @@ async function updateContactAppointmentIds(contactId, nubimedBookingId, ghlAppoi
 
     // Update contact with new custom field values
     // Note: locationId should NOT be included in PUT /contacts/{contactId} payload
-    const updatePayload = {
-      customFields: [
-        {
-          id: 'sDiKLOU2RCLGSGubvImI', // Appointment IDs (comma-separated)
-          field_value: appointmentIdsStr
-        },
-        {
-          id: 'cp4F0qVNGNclyphsr5jk', // Nubimed Booking IDs (comma-separated)
-          field_value: bookingIdsStr
-        }
-      ]
-    };
+    const updatePayload = buildAppointmentIdsPayload(tenant, appointmentIdsStr, bookingIdsStr);
 
-    const updateResponse = await fetch(
-      `${GHL_API_BASE}/contacts/${contactId}`,
-      {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${GHL_API_TOKEN}`,
-          'Version': '2021-07-28',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(updatePayload)
-      }
-    );
+    const updateResponse = await ghlFetch(tenant, `/contacts/${contactId}`, {
+      method: 'PUT',
+      body: updatePayload
+    });
 
     if (!updateResponse.ok) {
-      const responseText = await updateResponse.text();
+      const result = await parseResponse(updateResponse);
       logError('CONTACT_APPOINTMENT_IDS_UPDATE_ERROR', {
         contactId,
         status: updateResponse.status,
-        response: responseText
+        response: result
       });
+      throw toApiError(updateResponse, result);
     } else {
       logSuccess('CONTACT_APPOINTMENT_IDS_UPDATED', {
         contactId,
@@ -683,35 +665,40 @@ async function updateContactAppointmentIds(contactId, nubimedBookingId, ghlAppoi
       nubimedBookingId,
       ghlAppointmentId
     });
+    throw error;
   }
 }
 
 /**
  * Remove appointment IDs from contact custom fields (for deleted appointments)
+ * A deleted contact has nothing to clean up; any other failure throws with the HTTP status
+ * so the id_mapping stage is retried (and dead-lettered when it keeps failing)
  */
-async function removeContactAppointmentIds(contactId, nubimedBookingId, ghlAppointmentId) {
+async function removeContactAppointmentIds(tenant, contactId, nubimedBookingId, ghlAppointmentId) {
   try {
     if (!contactId || !nubimedBookingId) {
       return;
     }
 
     // Get current contact data
-    const response = await fetch(
-      `${GHL_API_BASE}/contacts/${contactId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${GHL_API_TOKEN}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const response = await ghlFetch(tenant, `/contacts/${contactId}`);
+
+    if (response.status === 404) {
+      logWarning('CONTACT_FETCH_FOR_DELETE_FAILED', {
+        contactId,
+        status: response.status,
+        message: 'Contact deleted in GHL, no appointment IDs to remove'
+      });
+      return;
+    }
 
     if (!response.ok) {
+      const result = await parseResponse(response);
       logWarning('CONTACT_FETCH_FOR_DELETE_FAILED', {
         contactId,
         status: response.status
       });
-      return;
+      throw toApiError(response, result);
     }
 
     const result = await response.json();
@@ -722,13 +709,13 @@ async function removeContactAppointmentIds(contactId, nubimedBookingId, ghlAppoi
     
     // Find existing appointment IDs field
     const appointmentIdsField = customFields.find(field => 
-      field.id === 'sDiKLOU2RCLGSGubvImI' || 
+      field.id === tenant.customFields.appointmentIds || 
       field.fieldKey === 'contact.appointment_ids'
     );
 
     // Find existing booking IDs field
     const bookingIdsField = customFields.find(field => 
-      field.id === 'cp4F0qVNGNclyphsr5jk' || 
+      field.id === tenant.customFields.bookingIds || 
       field.fieldKey === 'contact.nubimed_booking_id'
     );
 
@@ -757,39 +744,27 @@ async function removeContactAppointmentIds(contactId, nubimedBookingId, ghlAppoi
 
       // Update contact with new custom field values
       // Note: locationId should NOT be included in PUT /contacts/{contactId} payload
-      const updatePayload = {
-        customFields: [
-          {
-            id: 'sDiKLOU2RCLGSGubvImI', // Appointment IDs (comma-separated)
-            field_value: appointmentIdsStr
-          },
-          {
-            id: 'cp4F0qVNGNclyphsr5jk', // Nubimed Booking IDs (comma-separated)
-            field_value: bookingIdsStr
-          }
-        ]
-      };
-
-      const updateResponse = await fetch(
-        `${GHL_API_BASE}/contacts/${contactId}`,
-        {
-          method: 'PUT',
-          headers: {
-            'Authorization': `Bearer ${GHL_API_TOKEN}`,
-            'Version': '2021-07-28',
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(updatePayload)
-        }
-      );
+      const updatePayload = buildAppointmentIdsPayload(tenant, appointmentIdsStr, bookingIdsStr);
 
-      if (!updateResponse.ok) {
-        const responseText = await updateResponse.text();
+      const updateResponse = await ghlFetch(tenant, `/contacts/${contactId}`, {
+        method: 'PUT',
+        body: updatePayload
+      });
+
+      if (updateResponse.status === 404) {
+        logWarning('CONTACT_APPOINTMENT_IDS_DELETE_ERROR', {
+          contactId,
+          status: updateResponse.status,
+          message: 'Contact deleted in GHL, no appointment IDs to remove'
+        });
+      } else if (!updateResponse.ok) {
+        const result = await parseResponse(updateResponse);
         logError('CONTACT_APPOINTMENT_IDS_DELETE_ERROR', {
           contactId,
           status: updateResponse.status,
-          response: responseText
+          response: result
         });
+        throw toApiError(updateResponse, result);
       } else {
         logSuccess('CONTACT_APPOINTMENT_IDS_REMOVED', {
           contactId,
@@ -812,6 +787,7 @@ async function removeContactAppointmentIds(contactId, nubimedBookingId, ghlAppoi
       nubimedBookingId,
       ghlAppointmentId
     });
+    throw error;
   }
 }
 
@@ -821,18 +797,15 @@ async function removeContactAppointmentIds(contactId, nubimedBookingId, ghlAppoi
  * Since GHL API doesn't support searching by custom field value, we need to list contacts
  * and check each one's custom fields. This is not ideal for large contact lists.
  */
-async function searchContactByBookingId(nubimedBookingId) {
+async function searchContactByBookingId(tenant, nubimedBookingId) {
   try {
     if (!nubimedBookingId) {
       return null;
     }
 
     const nubimedBookingIdStr = String(nubimedBookingId);
-    const GHL_API_BASE = process.env.GHL_API_BASE || 'https://services.leadconnectorhq.com';
-    const GHL_API_TOKEN = process.env.GHL_API_TOKEN;
-    const GHL_LOCATION_ID = process.env.GHL_LOCATION_ID;
     
-    if (!GHL_API_TOKEN || !GHL_LOCATION_ID) {
+    if (!tenant.ghl.apiToken || !tenant.ghl.locationId) {
       logError('MISSING_GHL_CONFIG', {
         message: 'GHL API token or location ID not configured'
       });
@@ -852,14 +825,9 @@ async function searchContactByBookingId(nubimedBookingId) {
     let foundContactId = null;
 
     while (!foundContactId && skip < 1000) { // Max 1000 contacts to search
-      const response = await fetch(
-        `${GHL_API_BASE}/contacts/?locationId=${GHL_LOCATION_ID}&limit=${limit}&skip=${skip}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${GHL_API_TOKEN}`,
-            'Version': '2021-07-28'
-          }
-        }
+      const response = await ghlFetch(
+        tenant,
+        `/contacts/?locationId=${tenant.ghl.locationId}&limit=${limit}&skip=${skip}`
       );
 
       if (!response.ok) {
@@ -884,7 +852,7 @@ async function searchContactByBookingId(nubimedBookingId) {
         
         // Find "Nubimed Booking IDs" field
         const bookingIdsField = customFields.find(field => 
-          field.id === 'cp4F0qVNGNclyphsr5jk' || 
+          field.id === tenant.customFields.bookingIds || 
           field.fieldKey === 'contact.nubimed_booking_id'
         );
 
@@ -934,10 +902,13 @@ async function searchContactByBookingId(nubimedBookingId) {
 module.exports = {
   createOrUpdateAppointment,
   deleteAppointment,
+  updateAppointmentStatus,
   getExistingAppointmentId,
   updateContactAppointmentIds,
   removeContactAppointmentIds,
   extractAppointmentData,
+  buildAppointmentPayload,
+  buildAppointmentIdsPayload,
   parseCommaSeparatedIds,
   formatCommaSeparatedIds,
   searchContactByBookingId
@@ -0,0 +1,55 @@
+const { createJournal } = require('../utils/journal');
+const { logWarning } = require('../utils/logger');
+
+const journal = createJournal('treatment-controls.jsonl');
+
+/**
+ * Completed treatment whose control dates are on a GHL contact of a tenant
+ * Entry: { id: "tenantId:contactId", tenantId, contactId, treatmentId, treatmentName, scheduleType,
+ *   completedAt, controls: [{ months, date }], recordedAt }
+ */
+function getLastControl(tenantId, contactId) {
+  return contactId ? journal.get(`${tenantId}:${contactId}`) : null;
+}
+
+/**
+ * Decide if a completed treatment is the contact's latest one
+ * A late or replayed completion of an earlier treatment must not replace the current controls
+ */
+function isLatestCompletion(tenantId, contactId, completedAt) {
+  const lastControl = getLastControl(tenantId, contactId);
+  if (!lastControl || new Date(completedAt).getTime() >= new Date(lastControl.completedAt).getTime()) {
+    return true;
+  }
+
+  logWarning('OLDER_TREATMENT_SKIPPED', {
+    contactId,
+    completedAt,
+    lastCompletedAt: lastControl.completedAt,
+    lastTreatmentId: lastControl.treatmentId
+  });
+  return false;
+}
+
+/**
+ * Remember the treatment once its control dates are on the GHL contact
+ */
+function recordControl(tenantId, contactId, { treatmentId, treatmentName, scheduleType, completedAt, controls }) {
+  return journal.set({
+    id: `${tenantId}:${contactId}`,
+    tenantId,
+    contactId,
+    treatmentId: treatmentId ? String(treatmentId) : null,
+    treatmentName: treatmentName || null,
+    scheduleType: scheduleType || null,
+    completedAt: new Date(completedAt).toISOString(),
+    controls,
+    recordedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  getLastControl,
+  isLatestCompletion,
+  recordControl
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const { logError } = require('../utils/logger');
+const { normalizeStatusName } = require('./booking-status');
+const DEFAULT_SCHEDULES = require('../config/control-schedules.json');
+
+// Control intervals the contact has a DATE field for (tenant customFields keys)
+const CONTROL_FIELDS = {
+  3: 'control3Months', // fecha_control_3_meses
+  6: 'control6Months', // fecha_control_6_meses
+  9: 'control9Months', // fecha_control_9_meses
+  12: 'control12Months', // fecha_control_12_meses
+  18: 'control18Months' // fecha_control_18_meses
+};
+
+const SUPPORTED_MONTHS = Object.keys(CONTROL_FIELDS).map(Number);
+
+/**
+ * Validate the schedules and index the treatment types
+ * Config: { defaultMonths: [months], types: { type: [months] } }, an empty list means no controls
+ */
+function compileSchedules(config) {
+  const problems = [];
+  const checkMonths = (label, months) => {
+    if (!Array.isArray(months)) {
+      problems.push(`${label} must be a list of months`);
+      return;
+    }
+    const unsupported = months.filter(month => !SUPPORTED_MONTHS.includes(month));
+    if (unsupported.length > 0) {
+      problems.push(`${label}: ${unsupported.join(', ')} not one of ${SUPPORTED_MONTHS.join(', ')} months`);
+    }
+  };
+
+  checkMonths('defaultMonths', config.defaultMonths);
+  for (const [type, months] of Object.entries(config.types || {})) {
+    checkMonths(`types.${type}`, months);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid control schedules: ${problems.join('; ')}`);
+  }
+
+  // Longest types first, so "implante_inmediato" wins over "implante"
+  const typeEntries = Object.entries(config.types || {})
+    .map(([type, months]) => ({ type: normalizeStatusName(type), months: [...months].sort((a, b) => a - b) }))
+    .sort((a, b) => b.type.length - a.type.length);
+
+  return {
+    defaultMonths: [...config.defaultMonths].sort((a, b) => a - b),
+    typeEntries
+  };
+}
+
+/**
+ * Schedules from CONTROL_SCHEDULES (JSON) or CONTROL_SCHEDULES_FILE, else config/control-schedules.json
+ */
+function loadSchedules() {
+  let config = DEFAULT_SCHEDULES;
+  let source = 'default';
+
+  try {
+    if (process.env.CONTROL_SCHEDULES) {
+      config = JSON.parse(process.env.CONTROL_SCHEDULES);
+      source = 'CONTROL_SCHEDULES';
+    } else if (process.env.CONTROL_SCHEDULES_FILE) {
+      config = JSON.parse(fs.readFileSync(process.env.CONTROL_SCHEDULES_FILE, 'utf8'));
+      source = process.env.CONTROL_SCHEDULES_FILE;
+    }
+    return compileSchedules(config);
+  } catch (error) {
+    logError('CONTROL_SCHEDULES_INVALID', { source, error: error.message });
+    throw error;
+  }
+}
+
+const schedules = loadSchedules();
+
+/**
+ * Control months for a completed treatment: its type, then its name, matched exactly or as part
+ * of a longer text ("Implante dental"); the default schedule when nothing matches
+ * @param {import('../models/nubimed-event').NubimedTreatment} treatment
+ * @returns {{ scheduleType: string|null, months: number[] }}
+ */
+function getControlSchedule(treatment) {
+  const candidates = [treatment.type, treatment.name].filter(Boolean).map(normalizeStatusName);
+
+  for (const candidate of candidates) {
+    const exact = schedules.typeEntries.find(entry => entry.type === candidate);
+    if (exact) return { scheduleType: exact.type, months: exact.months };
+  }
+  for (const candidate of candidates) {
+    const partial = schedules.typeEntries.find(entry => candidate.includes(entry.type));
+    if (partial) return { scheduleType: partial.type, months: partial.months };
+  }
+
+  return { scheduleType: null, months: schedules.defaultMonths };
+}
+
+/**
+ * "YYYY-MM-DD" plus whole months, clamped to the end of shorter months (31/01 + 1 -> 28/02)
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Control date per scheduled interval, counted from the completion day on the clinic's calendar
+ * @param {string} completionDate - "YYYY-MM-DD"
+ * @returns {{ months: number, date: string }[]}
+ */
+function buildControlDates(completionDate, months) {
+  return months.map(interval => ({ months: interval, date: addMonths(completionDate, interval) }));
+}
+
+/**
+ * Next control still ahead of today, the last one when all have passed (late or replayed events)
+ * @param {{ months: number, date: string }[]} controls
+ * @param {string} today - "YYYY-MM-DD"
+ */
+function getNextControlDate(controls, today) {
+  if (controls.length === 0) return null;
+  const upcoming = controls.find(control => control.date >= today);
+  return (upcoming || controls[controls.length - 1]).date;
+}
+
+/**
+ * PUT /contacts/{contactId} body with the control dates of a completed treatment
+ * Intervals outside the schedule are cleared so no date of an earlier treatment is left behind;
+ * the controlTreatment field, when configured, records the treatment that set them
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedTreatment} treatment
+ * @param {string} completionDate - "YYYY-MM-DD"
+ * @param {{ months: number, date: string }[]} controls
+ * @param {string} today - "YYYY-MM-DD"
+ */
+function buildControlPayload(tenant, treatment, completionDate, controls, today) {
+  const fieldIds = tenant.customFields;
+  const customFields = [];
+
+  for (const [months, key] of Object.entries(CONTROL_FIELDS)) {
+    if (!fieldIds[key]) continue;
+    const control = controls.find(entry => entry.months === Number(months));
+    customFields.push({ id: fieldIds[key], field_value: control ? control.date : '' });
+  }
+
+  if (fieldIds.nextControlDate) {
+    customFields.push({ id: fieldIds.nextControlDate, field_value: getNextControlDate(controls, today) || '' });
+  }
+
+  if (fieldIds.controlTreatment) {
+    const name = treatment.name || treatment.type || 'Tratamiento';
+    const completedOn = completionDate.split('-').reverse().join('/');
+    customFields.push({
+      id: fieldIds.controlTreatment,
+      field_value: `${name} (ID ${treatment.id}), completado el ${completedOn}`
+    });
+  }
+
+  return { customFields };
+}
+
+module.exports = {
+  getControlSchedule,
+  buildControlPayload,
+  buildControlDates,
+  getNextControlDate,
+  addMonths,
+  CONTROL_FIELDS
+};
@@ -0,0 +1,95 @@
+const { createJournal } = require('../utils/journal');
+const { logError, logSuccess } = require('../utils/logger');
+
+const journal = createJournal('dead-letters.jsonl');
+
+// Pipeline stages an event can fail in
+const STAGES = ['contact', 'appointment', 'id_mapping', 'attendance', 'invoice', 'lifetime_value',
+  'opportunity', 'treatment_fields', 'controls'];
+
+/**
+ * Park an event that exhausted its retries (or failed permanently)
+ * Entries are keyed by event ID, so a second failure of the same event replaces the first one
+ */
+function addDeadLetter({ eventId, event, handler, stage, error, attempts, progress = {} }) {
+  const previous = journal.get(eventId);
+
+  const entry = journal.set({
+    id: eventId,
+    eventId,
+    bookingId: event.booking ? event.booking.id : null,
+    eventName: event.type,
+    handler,
+    stage: STAGES.includes(stage) ? stage : 'unknown',
+    error: error.message,
+    status: error.status || null,
+    attempts,
+    replays: previous ? previous.replays : 0,
+    progress,
+    event,
+    firstFailedAt: previous ? previous.firstFailedAt : new Date().toISOString(),
+    failedAt: new Date().toISOString()
+  });
+
+  logError('EVENT_DEAD_LETTERED', {
+    eventId,
+    stage: entry.stage,
+    attempts,
+    error: error.message
+  });
+
+  return entry;
+}
+
+/**
+ * List dead letters, newest first, optionally filtered by stage or booking ID
+ */
+function listDeadLetters({ stage, bookingId } = {}) {
+  return journal.values()
+    .filter(entry => !stage || entry.stage === stage)
+    .filter(entry => !bookingId || entry.bookingId === String(bookingId))
+    .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+}
+
+function getDeadLetter(eventId) {
+  return journal.get(eventId);
+}
+
+/**
+ * Remove an entry (after a successful replay or when discarded by an admin)
+ */
+function removeDeadLetter(eventId, reason) {
+  const removed = journal.remove(eventId);
+  if (removed) {
+    logSuccess('DEAD_LETTER_REMOVED', { eventId, reason });
+  }
+  return removed;
+}
+
+/**
+ * Mark an entry as being replayed, returns the updated entry
+ */
+function markReplayed(eventId) {
+  const entry = journal.get(eventId);
+  if (!entry) return null;
+
+  return journal.set({
+    ...entry,
+    replays: entry.replays + 1,
+    lastReplayAt: new Date().toISOString()
+  });
+}
+
+function countDeadLetters() {
+  return journal.values().length;
+}
+
+module.exports = {
+  addDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  removeDeadLetter,
+  markReplayed,
+  countDeadLetters,
+  STAGES
+};
@@ -0,0 +1,259 @@
+const { logWarning } = require('../utils/logger');
+const { validateEvent } = require('../utils/validation');
+const defaultHandlers = require('../handlers');
+
+const handlers = new Map();
+
+/**
+ * Register a handler for one or more Nubimed event names
+ * Handler shape: { name, description, events: [], patterns?: [RegExp], schema?, filter?(event), process?(event, progress), plan?(event, now?) }
+ * `filter` returns a FilterDecision (see utils/filter) or a plain boolean
+ * Handlers without `process` only acknowledge their events
+ * `plan` describes the GHL requests `process` would send (dry-run mode), as of `now` when given
+ */
+function registerHandler(handler) {
+  if (!handler || !handler.name) {
+    throw new Error('Event handlers require a name');
+  }
+  if (!handler.acknowledgeOnly && typeof handler.process !== 'function') {
+    throw new Error(`Event handler "${handler.name}" requires a process function`);
+  }
+  handlers.set(handler.name, handler);
+  return handler;
+}
+
+function getHandler(name) {
+  return handlers.get(name) || null;
+}
+
+/**
+ * FilterDecision from a handler filter result (filters may still return a plain boolean)
+ * @returns {import('../utils/filter').FilterDecision}
+ */
+function toFilterDecision(result) {
+  if (result && typeof result === 'object') {
+    return result;
+  }
+  return {
+    process: Boolean(result),
+    reasonCode: result ? 'filter_passed' : 'filtered',
+    explanation: result ? 'Passed the handler filter' : 'Ignored by the handler filter',
+    fields: {},
+    rule: null
+  };
+}
+
+/**
+ * Find the handler for an event: exact event name first, then name patterns
+ */
+function resolveHandler(event) {
+  if (!event.type || typeof event.type !== 'string') {
+    return null;
+  }
+
+  const type = event.type.trim().toLowerCase();
+  const registered = Array.from(handlers.values());
+
+  const exact = registered.find(handler => (handler.events || []).includes(type));
+  if (exact) return exact;
+
+  return registered.find(handler => (handler.patterns || []).some(pattern => pattern.test(type))) || null;
+}
+
+/**
+ * Decide what to do with an event before any GHL call is made
+ * Returns { handler, accept, outcome, reasonCode, filterDecision, statusCode, body, warnings }
+ * When `accept` is true the caller queues the event for handler.process
+ */
+function routeEvent(event, { handlerName } = {}) {
+  const handler = handlerName ? getHandler(handlerName) : resolveHandler(event);
+
+  if (!handler) {
+    logWarning('UNKNOWN_EVENT', {
+      eventType: event.type,
+      source: event.source,
+      bookingId: event.booking ? event.booking.id : null
+    });
+    return {
+      handler: null,
+      accept: false,
+      outcome: 'unhandled',
+      reasonCode: 'no_handler',
+      statusCode: 200,
+      body: {
+        status: 'unhandled',
+        message: event.type
+          ? `No handler registered for event "${event.type}"`
+          : 'Event has no name, cannot route it',
+        eventType: event.type
+      }
+    };
+  }
+
+  if (handler.acknowledgeOnly) {
+    return {
+      handler,
+      accept: false,
+      outcome: 'ignored',
+      reasonCode: 'acknowledge_only',
+      statusCode: 200,
+      body: {
+        status: 'ignored',
+        message: `${handler.description} events are acknowledged but not synced to GHL`,
+        eventType: event.type,
+        handler: handler.name
+      }
+    };
+  }
+
+  const filterDecision = handler.filter ? toFilterDecision(handler.filter(event)) : null;
+  if (filterDecision && !filterDecision.process) {
+    return {
+      handler,
+      accept: false,
+      outcome: 'ignored',
+      reasonCode: filterDecision.reasonCode,
+      filterDecision,
+      statusCode: 200,
+      body: {
+        status: 'ignored',
+        message: `Webhook received but ignored based on filtering rules: ${filterDecision.explanation}`,
+        eventType: event.type,
+        handler: handler.name,
+        filterDecision
+      }
+    };
+  }
+
+  // Synced events need a clinic (tenant) to pick GHL credentials, calendars and fields
+  if (!event.tenantId) {
+    const center = event.center ? (event.center.id || event.center.name) : null;
+    logWarning('TENANT_NOT_RESOLVED', {
+      eventType: event.type,
+      handler: handler.name,
+      centerId: event.center ? event.center.id : null,
+      centerName: event.center ? event.center.name : null
+    });
+    return {
+      handler,
+      accept: false,
+      outcome: 'rejected',
+      reasonCode: 'unknown_tenant',
+      filterDecision,
+      statusCode: 422,
+      body: {
+        status: 'error',
+        message: 'Webhook payload failed validation',
+        errors: [{
+          field: 'center',
+          code: 'unknown_tenant',
+          message: center
+            ? `No clinic configured for Nubimed center "${center}"`
+            : 'Event has no Nubimed center and there is no default clinic'
+        }],
+        warnings: []
+      }
+    };
+  }
+
+  let warnings = [];
+  if (handler.schema) {
+    const validation = validateEvent(event, handler.schema);
+    warnings = validation.warnings;
+
+    if (!validation.valid) {
+      logWarning('WEBHOOK_VALIDATION_FAILED', {
+        eventType: event.type,
+        handler: handler.name,
+        errors: validation.errors
+      });
+      return {
+        handler,
+        accept: false,
+        outcome: 'rejected',
+        reasonCode: 'invalid_payload',
+        filterDecision,
+        statusCode: 422,
+        body: {
+          status: 'error',
+          message: 'Webhook payload failed validation',
+          errors: validation.errors,
+          warnings
+        }
+      };
+    }
+  }
+
+  return {
+    handler,
+    accept: true,
+    outcome: null,
+    reasonCode: filterDecision ? filterDecision.reasonCode : 'accepted',
+    filterDecision,
+    statusCode: 202,
+    body: {
+      status: 'accepted',
+      message: 'Webhook accepted for processing',
+      eventType: event.type,
+      handler: handler.name,
+      filterDecision,
+      warnings
+    },
+    warnings
+  };
+}
+
+/**
+ * Dry run: route an event and return what would be sent to GHL, without calling it
+ * Nothing is stored, so a later real delivery of the same event is not a duplicate
+ * `now` pins the clock of date-dependent plans (fixture replays), defaults to the current time
+ */
+function planEvent(event, { handlerName, now } = {}) {
+  const routing = routeEvent(event, { handlerName });
+  const handler = routing.handler;
+  const { raw, ...canonical } = event;
+
+  const body = {
+    status: 'dry_run',
+    message: 'Dry run, nothing was sent to GHL',
+    eventType: event.type,
+    handler: handler ? handler.name : null,
+    decision: routing.accept ? 'accepted' : routing.outcome,
+    reason: routing.accept ? null : routing.body.message,
+    filterDecision: routing.filterDecision || null,
+    errors: routing.body.errors || [],
+    warnings: routing.warnings || routing.body.warnings || [],
+    event: canonical,
+    plan: null
+  };
+
+  if (routing.accept && handler.plan) {
+    body.plan = handler.plan(event, now);
+  }
+
+  return body;
+}
+
+/**
+ * Registered handlers and the event names they accept (for docs/admin)
+ */
+function listHandlers() {
+  return Array.from(handlers.values()).map(handler => ({
+    name: handler.name,
+    description: handler.description,
+    events: handler.events || [],
+    patterns: (handler.patterns || []).map(pattern => pattern.source),
+    synced: !handler.acknowledgeOnly
+  }));
+}
+
+defaultHandlers.forEach(registerHandler);
+
+module.exports = {
+  registerHandler,
+  getHandler,
+  resolveHandler,
+  routeEvent,
+  planEvent,
+  listHandlers
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { createJournal } = require('../utils/journal');
+const { logWarning } = require('../utils/logger');
+const { getCorrelationId } = require('../utils/request-context');
+
+// Outcomes that are final: a repeated delivery gets the stored response back
+const FINAL_OUTCOMES = ['processed', 'ignored', 'stale'];
+
+// Finished events are kept this long (duplicate detection and the admin API only see this window)
+// In-flight and failed events stay until they finish or leave the dead-letter queue
+const EVENT_RETENTION_DAYS = Number(process.env.EVENT_RETENTION_DAYS) || 30;
+const RETAINED_OUTCOMES = [null, 'failed'];
+
+const journal = createJournal('events.jsonl', {
+  indexBy: ['idempotencyKey'],
+  isExpired: (record, now) => !RETAINED_OUTCOMES.includes(record.outcome)
+    && now - new Date(record.updatedAt).getTime() > EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000
+});
+
+/**
+ * JSON.stringify with sorted object keys so equal payloads hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function computePayloadHash(payload) {
+  return hash(stableStringify(payload));
+}
+
+/**
+ * Extract identifying fields used for the idempotency key
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function getEventIdentity(event) {
+  return {
+    tenantId: event.tenantId || null,
+    bookingId: event.booking ? event.booking.id : null,
+    eventName: event.type
+  };
+}
+
+/**
+ * Idempotency key: booking ID + event name + hash of the inbound payload
+ * (prefixed with the tenant when there is one, two clinics may send identical payloads)
+ */
+function buildIdempotencyKey(event) {
+  const { tenantId, bookingId, eventName } = getEventIdentity(event);
+  const payloadHash = computePayloadHash(event.raw);
+  const key = `${bookingId || ''}|${eventName || ''}|${payloadHash}`;
+  return hash(tenantId && tenantId !== 'default' ? `${tenantId}|${key}` : key);
+}
+
+/**
+ * Find a previous delivery of the same event
+ * Returns the stored record if it is final or still in flight, null if it failed (so it is retried)
+ */
+function findDuplicate(idempotencyKey) {
+  const existing = journal.findBy('idempotencyKey', idempotencyKey);
+
+  if (!existing) return null;
+  if (FINAL_OUTCOMES.includes(existing.outcome) || existing.outcome === null) {
+    return existing;
+  }
+  return null;
+}
+
+/**
+ * Persist an accepted webhook before it is processed
+ * A failed earlier delivery with the same key is reused and its attempt count increased
+ */
+function recordEvent({ route, event }) {
+  const idempotencyKey = buildIdempotencyKey(event);
+  const { tenantId, bookingId, eventName } = getEventIdentity(event);
+  const previous = journal.findBy('idempotencyKey', idempotencyKey);
+  const now = new Date().toISOString();
+
+  if (previous) {
+    logWarning('EVENT_REDELIVERED', {
+      eventId: previous.id,
+      previousOutcome: previous.outcome,
+      attempts: previous.attempts + 1
+    });
+  }
+
+  return journal.set({
+    id: previous ? previous.id : crypto.randomUUID(),
+    idempotencyKey,
+    tenantId,
+    bookingId,
+    eventName,
+    route,
+    correlationId: getCorrelationId(),
+    payloadHash: computePayloadHash(event.raw),
+    receivedAt: previous ? previous.receivedAt : now,
+    updatedAt: now,
+    attempts: previous ? previous.attempts + 1 : 1,
+    outcome: null,
+    decision: null,
+    response: null,
+    error: null,
+    progress: null,
+    // Kept across redeliveries, each call is tagged with its attempt
+    ghlCalls: previous ? previous.ghlCalls || [] : [],
+    event
+  });
+}
+
+/**
+ * Store the routing/filter decision taken for an event
+ * decision: { decision: accepted|ignored|rejected|unhandled, handler, reasonCode, message, errors, filter }
+ * `filter` is the handler's FilterDecision (reason code, explanation, fields looked at)
+ */
+function recordDecision(eventId, decision) {
+  const record = journal.get(eventId);
+  if (!record) return null;
+
+  return journal.set({ ...record, decision });
+}
+
+/**
+ * Append the GHL calls made while processing an event
+ */
+function appendGhlCalls(eventId, calls) {
+  const record = journal.get(eventId);
+  if (!record || calls.length === 0) return record;
+
+  return journal.set({
+    ...record,
+    ghlCalls: [...(record.ghlCalls || []), ...calls]
+  });
+}
+
+/**
+ * Store the result of processing an event
+ * `progress` holds the stages that finished (contact and appointment IDs)
+ */
+function completeEvent(eventId, { outcome, response, error = null, progress = null }) {
+  const record = journal.get(eventId);
+  if (!record) return null;
+
+  return journal.set({
+    ...record,
+    updatedAt: new Date().toISOString(),
+    outcome,
+    response,
+    error,
+    progress
+  });
+}
+
+/**
+ * Put a finished event back in flight (replay from the dead-letter queue)
+ */
+function reopenEvent(eventId) {
+  const record = journal.get(eventId);
+  if (!record) return null;
+
+  return journal.set({
+    ...record,
+    updatedAt: new Date().toISOString(),
+    outcome: null,
+    response: null,
+    error: null
+  });
+}
+
+function getEvent(eventId) {
+  return journal.get(eventId);
+}
+
+/**
+ * GHL contact an event was synced to (or the one it names)
+ */
+function getEventContactId(record) {
+  return (record.response && record.response.contactId)
+    || (record.progress && record.progress.contactId)
+    || (record.event && record.event.contactId)
+    || null;
+}
+
+/**
+ * GHL appointment an event created, updated or deleted
+ */
+function getEventAppointmentId(record) {
+  return (record.response && record.response.appointmentId)
+    || (record.progress && record.progress.appointmentId)
+    || null;
+}
+
+/**
+ * List stored events, newest first
+ * outcome "pending" matches events still in flight; from/to are compared with receivedAt
+ */
+function listEvents({ bookingId, contactId, eventName, outcome, tenantId, correlationId, from, to } = {}) {
+  return journal.values()
+    .filter(record => !bookingId || record.bookingId === String(bookingId))
+    .filter(record => !contactId || getEventContactId(record) === contactId)
+    .filter(record => !eventName || record.eventName === eventName)
+    .filter(record => !outcome || (outcome === 'pending' ? record.outcome === null : record.outcome === outcome))
+    .filter(record => !tenantId || record.tenantId === tenantId)
+    .filter(record => !correlationId || record.correlationId === correlationId)
+    .filter(record => !from || record.receivedAt >= from)
+    .filter(record => !to || record.receivedAt <= to)
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+}
+
+module.exports = {
+  recordEvent,
+  recordDecision,
+  appendGhlCalls,
+  completeEvent,
+  reopenEvent,
+  findDuplicate,
+  getEvent,
+  listEvents,
+  getEventContactId,
+  getEventAppointmentId,
+  buildIdempotencyKey,
+  computePayloadHash
+};
@@ -0,0 +1,118 @@
+const { recordCall } = require('../utils/call-log');
+const { getCorrelationId, CORRELATION_HEADER } = require('../utils/request-context');
+const { ghlRequests, ghlRequestDuration } = require('./pipeline-metrics');
+
+const GHL_API_VERSION = '2021-07-28';
+
+/**
+ * Throw if a tenant lacks the credentials every GHL call needs
+ * @param {import('./tenant-registry').Tenant} tenant
+ */
+function requireCredentials(tenant) {
+  if (!tenant.ghl.apiToken) {
+    throw new Error(`GHL API token is required (tenant "${tenant.id}", GHL_API_TOKEN)`);
+  }
+
+  if (!tenant.ghl.locationId) {
+    throw new Error(`GHL location ID is required (tenant "${tenant.id}", GHL_LOCATION_ID)`);
+  }
+}
+
+/**
+ * Path with IDs replaced by ":id" so metrics have one series per endpoint
+ * e.g. /contacts/abc123XYZ -> /contacts/:id (GHL IDs are long alphanumerics, Nubimed IDs numeric)
+ */
+function toEndpoint(path) {
+  return path.split('?')[0]
+    .split('/')
+    .map(segment => (/\d/.test(segment) || segment.length >= 16 ? ':id' : segment))
+    .join('/');
+}
+
+/**
+ * fetch() against the GHL API of a tenant: base URL, bearer token and API version
+ * Objects passed as body are sent as JSON
+ * Returns the raw Response, callers keep their own status/JSON handling
+ * Every call (method, path, status, duration) goes to the current call log, see utils/call-log
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {string} path - e.g. "/contacts/upsert"
+ */
+async function ghlFetch(tenant, path, { method = 'GET', body, headers = {}, signal } = {}) {
+  const requestHeaders = {
+    'Authorization': `Bearer ${tenant.ghl.apiToken}`,
+    'Version': GHL_API_VERSION,
+    ...headers
+  };
+
+  const correlationId = getCorrelationId();
+  if (correlationId) {
+    requestHeaders[CORRELATION_HEADER] = correlationId;
+  }
+
+  if (body !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+
+  const startedAt = Date.now();
+  const endpoint = toEndpoint(path);
+  const call = {
+    tenantId: tenant.id,
+    method,
+    // Query strings hold phone numbers/emails on searches
+    path: path.split('?')[0],
+    at: new Date(startedAt).toISOString()
+  };
+
+  try {
+    const response = await fetch(`${tenant.ghl.apiBase}${path}`, {
+      method,
+      headers: requestHeaders,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal
+    });
+    const durationMs = Date.now() - startedAt;
+    recordCall({ ...call, status: response.status, durationMs });
+    ghlRequests.inc({ tenant: tenant.id, method, endpoint, status: response.status });
+    ghlRequestDuration.observe({ method, endpoint }, durationMs / 1000);
+    return response;
+  } catch (error) {
+    const durationMs = Date.now() - startedAt;
+    recordCall({ ...call, status: null, error: error.message, durationMs });
+    ghlRequests.inc({ tenant: tenant.id, method, endpoint, status: 'error' });
+    ghlRequestDuration.observe({ method, endpoint }, durationMs / 1000);
+    throw error;
+  }
+}
+
+/**
+ * JSON body of a GHL response; a non-JSON body (HTML error pages, plain text) becomes { message }
+ */
+async function parseResponse(response) {
+  const responseText = await response.text();
+  try {
+    return JSON.parse(responseText);
+  } catch (e) {
+    return { message: responseText };
+  }
+}
+
+/**
+ * Error for a failed GHL call, with the HTTP status so the sync queue can tell
+ * 429/5xx (retried) apart from permanent errors
+ * @param {Response} response
+ * @param {object} result - Parsed body, see parseResponse
+ */
+function toApiError(response, result) {
+  const apiError = new Error(`GHL API error (${response.status}): ${result.message || JSON.stringify(result)}`);
+  apiError.status = response.status;
+  return apiError;
+}
+
+module.exports = {
+  ghlFetch,
+  parseResponse,
+  toApiError,
+  requireCredentials,
+  toEndpoint,
+  GHL_API_VERSION
+};
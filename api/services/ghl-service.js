@@ -1,9 +1,11 @@
 const logger = require('../utils/logger');
 const { logError, logSuccess, logWarning } = logger;
+const { getPrimaryPatient } = require('../models/nubimed-event');
+const { ghlFetch, requireCredentials } = require('./ghl-client');
+const { contactUpserts } = require('./pipeline-metrics');
+const { getPatientContactId, savePatientContact, forgetPatientContact } = require('./patient-contacts');
 
-const GHL_API_BASE = process.env.GHL_API_BASE || 'https://services.leadconnectorhq.com';
-const GHL_API_TOKEN = process.env.GHL_API_TOKEN;
-const GHL_LOCATION_ID = process.env.GHL_LOCATION_ID;
+const DEFAULT_TIMEZONE = 'Europe/Madrid';
 
 function formatPhone(phone) {
   if (!phone) return null;
@@ -17,16 +19,16 @@ function formatPhone(phone) {
   return cleaned || null;
 }
 
-// Format date for TEXT field (human-readable format)
-function formatDateForText(date) {
+// Format date for TEXT field (human-readable format, clinic local time)
+function formatDateForText(date, timezone = DEFAULT_TIMEZONE) {
   if (!date) return null;
 
   const d = new Date(date);
   if (isNaN(d)) return null;
 
-  // Convert to Spain local time
+  // Convert to clinic local time (Spain by default)
   const madrid = new Date(
-    d.toLocaleString("en-US", { timeZone: "Europe/Madrid" })
+    d.toLocaleString("en-US", { timeZone: timezone })
   );
 
   const day = String(madrid.getDate()).padStart(2, "0");
@@ -39,16 +41,16 @@ function formatDateForText(date) {
   return `${day}/${month}/${year} a las ${hour}:${minute}`;
 }
 
-// Format date for DATE field (ISO format: YYYY-MM-DD)
-function formatDateForDateField(date) {
+// Format date for DATE field (ISO format: YYYY-MM-DD, clinic local date)
+function formatDateForDateField(date, timezone = DEFAULT_TIMEZONE) {
   if (!date) return null;
 
   const d = new Date(date);
   if (isNaN(d)) return null;
 
-  // Convert to Spain local time
+  // Convert to clinic local time (Spain by default)
   const madrid = new Date(
-    d.toLocaleString("en-US", { timeZone: "Europe/Madrid" })
+    d.toLocaleString("en-US", { timeZone: timezone })
   );
 
   const day = String(madrid.getDate()).padStart(2, "0");
@@ -64,15 +66,63 @@ function formatDateForGHL(date) {
   return formatDateForText(date);
 }
 
+// Map common country names to ISO codes
+// Focus on countries that might come from Nubimed (Spanish-speaking countries)
+const COUNTRY_CODES = {
+  // Spain variations
+  'españa': 'ES',
+  'espana': 'ES', // without ñ
+  'spain': 'ES',
+  // Other common countries
+  'méxico': 'MX',
+  'mexico': 'MX',
+  'méjico': 'MX',
+  'mejico': 'MX',
+  'colombia': 'CO',
+  'argentina': 'AR',
+  'chile': 'CL',
+  'perú': 'PE',
+  'peru': 'PE',
+  'venezuela': 'VE',
+  'ecuador': 'EC',
+  'guatemala': 'GT',
+  'cuba': 'CU',
+  'bolivia': 'BO',
+  'república dominicana': 'DO',
+  'republica dominicana': 'DO',
+  'honduras': 'HN',
+  'paraguay': 'PY',
+  'nicaragua': 'NI',
+  'el salvador': 'SV',
+  'costa rica': 'CR',
+  'panamá': 'PA',
+  'panama': 'PA',
+  'uruguay': 'UY',
+  'portugal': 'PT',
+  'brasil': 'BR',
+  'brazil': 'BR',
+  'estados unidos': 'US',
+  'united states': 'US',
+  'usa': 'US',
+  'reino unido': 'GB',
+  'united kingdom': 'GB',
+  'uk': 'GB',
+  'francia': 'FR',
+  'france': 'FR',
+  'italia': 'IT',
+  'italy': 'IT',
+  'alemania': 'DE',
+  'germany': 'DE',
+};
+
 /**
- * Normalize country name to ISO 3166-1 alpha-2 code (2 letters uppercase)
- * GHL API requires ISO country codes, not country names
+ * Look up the ISO 3166-1 alpha-2 code for a country name or code
  * @param {string} country - Country name or code from Nubimed
- * @returns {string} - ISO 3166-1 alpha-2 code (e.g., "ES", "US", "MX")
+ * @returns {string|null} - ISO code, or null if the country is not mapped
  */
-function normalizeCountryCode(country) {
+function lookupCountryCode(country) {
   if (!country || typeof country !== 'string') {
-    return 'ES'; // Default to Spain
+    return null;
   }
 
   // Normalize: trim whitespace and convert to lowercase
@@ -83,181 +133,75 @@ function normalizeCountryCode(country) {
     return normalized.toUpperCase();
   }
 
-  // Map common country names to ISO codes
-  // Focus on countries that might come from Nubimed (Spanish-speaking countries)
-  const countryMap = {
-    // Spain variations
-    'españa': 'ES',
-    'espana': 'ES', // without ñ
-    'spain': 'ES',
-    // Other common countries
-    'méxico': 'MX',
-    'mexico': 'MX',
-    'méjico': 'MX',
-    'mejico': 'MX',
-    'colombia': 'CO',
-    'argentina': 'AR',
-    'chile': 'CL',
-    'perú': 'PE',
-    'peru': 'PE',
-    'venezuela': 'VE',
-    'ecuador': 'EC',
-    'guatemala': 'GT',
-    'cuba': 'CU',
-    'bolivia': 'BO',
-    'república dominicana': 'DO',
-    'republica dominicana': 'DO',
-    'honduras': 'HN',
-    'paraguay': 'PY',
-    'nicaragua': 'NI',
-    'el salvador': 'SV',
-    'costa rica': 'CR',
-    'panamá': 'PA',
-    'panama': 'PA',
-    'uruguay': 'UY',
-    'portugal': 'PT',
-    'brasil': 'BR',
-    'brazil': 'BR',
-    'estados unidos': 'US',
-    'united states': 'US',
-    'usa': 'US',
-    'reino unido': 'GB',
-    'united kingdom': 'GB',
-    'uk': 'GB',
-    'francia': 'FR',
-    'france': 'FR',
-    'italia': 'IT',
-    'italy': 'IT',
-    'alemania': 'DE',
-    'germany': 'DE',
-  };
+  return COUNTRY_CODES[normalized] || null;
+}
+
+/**
+ * Normalize country name to ISO 3166-1 alpha-2 code (2 letters uppercase)
+ * GHL API requires ISO country codes, not country names
+ * @param {string} country - Country name or code from Nubimed
+ * @returns {string} - ISO 3166-1 alpha-2 code (e.g., "ES", "US", "MX")
+ */
+function normalizeCountryCode(country) {
+  if (!country || typeof country !== 'string') {
+    return 'ES'; // Default to Spain
+  }
 
-  // Check if normalized country name exists in map
-  if (countryMap[normalized]) {
-    return countryMap[normalized];
+  const countryCode = lookupCountryCode(country);
+  if (countryCode) {
+    return countryCode;
   }
 
   // If not found, default to ES (Spain) since all patients seem to be from Spain
   // Log a warning for debugging
   logWarning('COUNTRY_NOT_MAPPED', {
     original: country,
-    normalized: normalized,
+    normalized: country.trim().toLowerCase(),
     defaultingTo: 'ES'
   });
 
   return 'ES';
 }
 
-function extractPatientData(payload) {
-  const data = payload.data || payload;
-  const booking = data.booking || payload.appointment || payload;
-  
-  let patient = {};
-  let patientSource = 'none';
-  
-  // Try multiple possible locations for patient data
-  // PRIORITY 1: data.booking.patients[] (array inside booking - THIS IS THE ACTUAL STRUCTURE)
-  // This is the most common structure from Nubimed
-  if (booking && booking.patients && Array.isArray(booking.patients) && booking.patients.length > 0) {
-    patient = booking.patients[0];
-    patientSource = 'booking.patients[0]';
-    logWarning('FOUND_PATIENT_IN_BOOKING', {
-      patientKeys: Object.keys(patient),
-      phone: patient.phone,
-      email: patient.email,
-      patientId: patient.id
-    });
-  }
-  // PRIORITY 2: data.patients[] (array at data level)
-  else if (data.patients && Array.isArray(data.patients) && data.patients.length > 0) {
-    patient = data.patients[0];
-    patientSource = 'data.patients[0]';
-  }
-  // PRIORITY 3: booking.patient (single object)
-  else if (booking && booking.patient) {
-    patient = booking.patient;
-    patientSource = 'booking.patient';
-  }
-  // PRIORITY 4: payload.patient (fallback)
-  else {
-    patient = payload.patient || {};
-    patientSource = 'payload.patient';
+/**
+ * Patient fields for the GHL contact of a canonical event
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ * @param {string} [timezone] - Tenant timezone for the appointment date fields
+ */
+function extractPatientData(event, timezone = DEFAULT_TIMEZONE) {
+  let patient = getPrimaryPatient(event);
+
+  if (!patient) {
     logWarning('NO_PATIENT_FOUND', {
-      hasBooking: !!booking,
-      hasData: !!data,
-      bookingKeys: booking ? Object.keys(booking) : [],
-      dataKeys: data ? Object.keys(data) : []
+      eventType: event.type,
+      source: event.source,
+      hasBooking: !!event.booking
     });
+    patient = {};
   }
   
-  const phone = formatPhone(
-    patient.phone || 
-    payload.patient_phone || 
-    payload.phone ||
-    booking.phone ||
-    data.phone
-  );
-  
-  const email = 
-    patient.email || 
-    payload.patient_email || 
-    payload.email ||
-    booking.email ||
-    data.email ||
-    null;
-  
-  const firstName = 
-    patient.name || 
-    patient.firstName || 
-    payload.patient_name ||
-    payload.firstName ||
-    payload.name ||
-    booking.patient_name ||
-    '';
-  
-  const lastName = 
-    patient.surname || 
-    patient.lastName || 
-    patient.last_name ||
-    payload.patient_lastName ||
-    payload.lastName ||
-    booking.patient_lastName ||
-    '';
-  
-  // Get raw appointment date
-  const rawAppointmentDate = 
-    booking.start_at || 
-    booking.startAt ||
-    data.start_at ||
-    data.startAt ||
-    booking.date || 
-    booking.datetime || 
-    payload.date ||
-    payload.datetime ||
-    data.date;
-  
-  // Format for TEXT field (human-readable)
-  const appointmentDateText = formatDateForText(rawAppointmentDate);
+  const phone = formatPhone(patient.phone);
+  const email = patient.email || null;
+  const firstName = patient.firstName || '';
+  const lastName = patient.lastName || '';
   
-  // Format for DATE field (ISO format)
-  const appointmentDateISO = formatDateForDateField(rawAppointmentDate);
+  // Human-readable booking date, null when the event has no valid one
+  const appointmentDate = formatDateForText(event.booking ? event.booking.startAt : null, timezone);
   
-  // Extract address fields
-  const address = patient.address || booking.address || data.address || '';
-  const city = patient.city || booking.city || data.city || '';
-  const province = patient.province || booking.province || data.province || '';
-  const postalCode = patient.postal_code || patient.postalCode || booking.postal_code || booking.postalCode || data.postal_code || data.postalCode || '';
-  const country = patient.country || booking.country || data.country || 'ES'; // Default to ES for Spain
-  
-  // Extract birth date
-  const birthDate = patient.birth_date || patient.birthDate || booking.birth_date || booking.birthDate || data.birth_date || data.birthDate || null;
-  
-  // Extract additional patient info for custom fields
-  const nin = patient.nin || booking.nin || data.nin || null; // National ID
-  const sex = patient.sex || booking.sex || data.sex || null;
+  // Address fields
+  const address = patient.address || '';
+  const city = patient.city || '';
+  const province = patient.province || '';
+  const postalCode = patient.postalCode || '';
+  const country = patient.country || 'ES'; // Default to ES for Spain
   
+  // Birth date and additional patient info for custom fields
+  const birthDate = patient.birthDate || null;
+  const nin = patient.nin || null; // National ID
+  const sex = patient.sex || null;
   
   return {
+    patientId: patient.id ? String(patient.id) : null,
     phone,
     email,
     firstName,
@@ -270,50 +214,339 @@ function extractPatientData(payload) {
     dateOfBirth: birthDate,
     nin,
     sex,
-    appointmentDate: appointmentDateText, // For backward compatibility, keep this as text format
-    appointmentDateText, // TEXT field format
-    appointmentDateISO  // DATE field format (ISO: YYYY-MM-DD)
+    appointmentDate
   };
 }
 
-async function syncToGHL(nubimedPayload) {
-  try {
-    if (!GHL_API_TOKEN) {
-      throw new Error('GHL_API_TOKEN environment variable is required');
+/**
+ * Build the POST /contacts/upsert body for extracted patient data
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {ReturnType<typeof extractPatientData>} patientData
+ */
+function buildContactPayload(tenant, patientData) {
+  // Build custom fields array using the correct GHL API format
+  // Format: customFields array with objects containing id and field_value
+  // Field IDs come from the tenant (defaults from customfields.json):
+  // - Nubimed patient ID (TEXT field), only when the tenant configures one
+  // - Rut (NIN) (TEXT field)
+  // - Sexo (TEXT field)
+  // The last visit fields (fecha_ultima_cita*) are only written for attended bookings,
+  // see buildAttendancePayload; a booking is not a visit yet
+  const fieldIds = tenant.customFields;
+  const customFieldsArray = [];
+  
+  // Stored on the contact so the patient is found again after a phone/email change
+  if (fieldIds.nubimedPatientId && patientData.patientId) {
+    customFieldsArray.push({
+      id: fieldIds.nubimedPatientId,
+      field_value: patientData.patientId
+    });
+  }
+  
+  // Add NIN (Rut) custom field
+  if (patientData.nin) {
+    customFieldsArray.push({
+      id: fieldIds.nin, // Rut (NIN)
+      field_value: patientData.nin
+    });
+  }
+  
+  // Add Sex custom field (format: convert "sexo_femenino" -> "Mujer", "sexo_masculino" -> "Hombre")
+  if (patientData.sex) {
+    let sexValue = patientData.sex;
+    if (patientData.sex === 'sexo_femenino') {
+      sexValue = 'Mujer';
+    } else if (patientData.sex === 'sexo_masculino') {
+      sexValue = 'Hombre';
     }
+    customFieldsArray.push({
+      id: fieldIds.sex, // Sexo
+      field_value: sexValue
+    });
+  }
+
+  // Build contact data with all available fields
+  const contactData = {
+    locationId: tenant.ghl.locationId,
+    phone: patientData.phone,
+    email: patientData.email,
+    firstName: patientData.firstName,
+    lastName: patientData.lastName,
+    source: 'Nubimed',
+    customFields: customFieldsArray.length > 0 ? customFieldsArray : undefined,
+    tags: ['nubimed contact']
+  };
+  
+  // Add address fields if available
+  if (patientData.address) {
+    contactData.address1 = patientData.address;
+  }
+  if (patientData.city) {
+    contactData.city = patientData.city;
+  }
+  if (patientData.province) {
+    contactData.state = patientData.province;
+  }
+  if (patientData.postalCode) {
+    contactData.postalCode = patientData.postalCode;
+  }
+  if (patientData.country) {
+    // Normalize country to ISO 3166-1 alpha-2 code (required by GHL API)
+    // This handles all variations: "españa", "España", "ESPAÑA", "ES", etc.
+    const countryCode = normalizeCountryCode(patientData.country);
+    contactData.country = countryCode;
+  }
+  
+  // Add date of birth if available (format: YYYY-MM-DD)
+  if (patientData.dateOfBirth) {
+    contactData.dateOfBirth = patientData.dateOfBirth;
+  }
 
-    if (!GHL_LOCATION_ID) {
-      throw new Error('GHL_LOCATION_ID environment variable is required');
+  // Clean up null/undefined/empty fields
+  Object.keys(contactData).forEach(key => {
+    const value = contactData[key];
+    // Remove if null, undefined, or empty string (except for tags and customFields arrays)
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '' && key !== 'tags')) {
+      delete contactData[key];
     }
+  });
+  
+  // Clean up customFields array if empty
+  if (contactData.customFields && contactData.customFields.length === 0) {
+    delete contactData.customFields;
+  }
+  
+  // Remove empty firstName/lastName (they should be strings but empty strings are not useful)
+  if (contactData.firstName && contactData.firstName.trim() === '') {
+    delete contactData.firstName;
+  }
+  if (contactData.lastName && contactData.lastName.trim() === '') {
+    delete contactData.lastName;
+  }
+
+  return contactData;
+}
+
+/**
+ * Whole months from one date to another, counted on the clinic's calendar
+ */
+function monthsBetween(from, to, timezone = DEFAULT_TIMEZONE) {
+  const [fromYear, fromMonth, fromDay] = formatDateForDateField(from, timezone).split('-').map(Number);
+  const [toYear, toMonth, toDay] = formatDateForDateField(to, timezone).split('-').map(Number);
+  const months = (toYear - fromYear) * 12 + (toMonth - fromMonth) - (toDay < fromDay ? 1 : 0);
+  return Math.max(0, months);
+}
+
+/**
+ * Build the PUT /contacts/{contactId} body describing the last attended visit:
+ * fecha_ultima_cita (DATE), fecha_ultima_cita_T (TEXT) and meses_desde_la_ultima_cita (NUMERICAL)
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {string} visitAt - Start of the attended booking
+ */
+function buildAttendancePayload(tenant, visitAt, now = new Date()) {
+  const fieldIds = tenant.customFields;
+  return {
+    customFields: [
+      {
+        id: fieldIds.lastAppointmentDate, // fecha_ultima_cita (DATE)
+        field_value: formatDateForDateField(visitAt, tenant.timezone)
+      },
+      {
+        id: fieldIds.lastAppointmentDateText, // fecha_ultima_cita_T (TEXT)
+        field_value: formatDateForText(visitAt, tenant.timezone)
+      },
+      {
+        id: fieldIds.monthsSinceLastAppointment, // meses_desde_la_ultima_cita (NUMERICAL)
+        field_value: monthsBetween(visitAt, now, tenant.timezone)
+      }
+    ]
+  };
+}
+
+/**
+ * GET /contacts/{contactId}
+ * Throws with the HTTP status when the contact cannot be read
+ * @param {import('./tenant-registry').Tenant} tenant
+ */
+async function getContact(tenant, contactId) {
+  requireCredentials(tenant);
+
+  const response = await ghlFetch(tenant, `/contacts/${contactId}`);
+  if (!response.ok) {
+    const fetchError = new Error(`Failed to fetch contact ${contactId} (${response.status})`);
+    fetchError.status = response.status;
+    throw fetchError;
+  }
+
+  const result = await response.json();
+  return result.contact || result;
+}
+
+/**
+ * Value of a contact custom field, null when it is not set
+ * GHL returns custom fields with "value" property, not "fieldValue"
+ */
+function getCustomFieldValue(contact, fieldId) {
+  const field = (contact.customFields || []).find(candidate => candidate.id === fieldId);
+  if (!field) return null;
+  const value = field.value !== undefined ? field.value : field.fieldValue;
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * PUT /contacts/{contactId}
+ * Note: locationId should NOT be included in the body
+ * @param {import('./tenant-registry').Tenant} tenant
+ */
+async function updateContact(tenant, contactId, body) {
+  requireCredentials(tenant);
+
+  const response = await ghlFetch(tenant, `/contacts/${contactId}`, {
+    method: 'PUT',
+    body
+  });
+
+  if (!response.ok) {
+    const responseText = await response.text();
+    logError('CONTACT_UPDATE_ERROR', {
+      contactId,
+      status: response.status,
+      response: responseText
+    });
+    const apiError = new Error(`GHL API error (${response.status}): ${responseText}`);
+    apiError.status = response.status; // Lets the sync queue tell 429/5xx apart from permanent errors
+    throw apiError;
+  }
+
+  logSuccess('CONTACT_UPDATED', {
+    contactId,
+    fields: (body.customFields || []).map(field => field.id)
+  });
+
+  return { success: true, contactId };
+}
+
+/**
+ * PUT the contact a Nubimed patient was synced to before
+ * No locationId (rejected on PUT) and no tags (a PUT replaces them all)
+ * @returns {Promise<boolean>} false when the contact no longer exists
+ */
+async function updateMappedContact(tenant, contactId, contactData) {
+  const { locationId, tags, ...body } = contactData;
+  const response = await ghlFetch(tenant, `/contacts/${contactId}`, {
+    method: 'PUT',
+    body
+  });
+
+  if (response.status === 404) {
+    return false;
+  }
+
+  if (!response.ok) {
+    const responseText = await response.text();
+    logError('GHL_API_ERROR', {
+      contactId,
+      status: response.status,
+      statusText: response.statusText,
+      response: responseText
+    });
+    const apiError = new Error(`GHL API error (${response.status}): ${responseText}`);
+    apiError.status = response.status;
+    throw apiError;
+  }
+
+  return true;
+}
+
+/**
+ * POST /contacts/search body matching the Nubimed patient ID custom field
+ * @param {import('./tenant-registry').Tenant} tenant
+ */
+function buildPatientSearchPayload(tenant, patientId) {
+  return {
+    locationId: tenant.ghl.locationId,
+    page: 1,
+    pageLimit: 1,
+    filters: [{ field: `customFields.${tenant.customFields.nubimedPatientId}`, operator: 'eq', value: String(patientId) }]
+  };
+}
+
+/**
+ * GHL contact whose Nubimed patient ID field holds patientId (POST /contacts/search)
+ * Returns null when the tenant has no such field or no contact has the ID; a failed
+ * search throws with the HTTP status so the job is retried instead of upserting by phone/email
+ * @param {import('./tenant-registry').Tenant} tenant
+ */
+async function searchContactByPatientId(tenant, patientId) {
+  const fieldId = tenant.customFields.nubimedPatientId;
+  if (!fieldId || !patientId) {
+    return null;
+  }
+
+  const response = await ghlFetch(tenant, '/contacts/search', {
+    method: 'POST',
+    body: buildPatientSearchPayload(tenant, patientId)
+  });
+
+  if (!response.ok) {
+    const responseText = await response.text();
+    logError('PATIENT_SEARCH_ERROR', {
+      patientId,
+      status: response.status,
+      response: responseText
+    });
+    const apiError = new Error(`GHL API error (${response.status}): ${responseText}`);
+    apiError.status = response.status;
+    throw apiError;
+  }
+
+  const result = await response.json();
+  const contact = (result.contacts || [])[0];
+  return contact ? contact.id : null;
+}
+
+/**
+ * Upsert the patient of a canonical event as a GHL contact
+ * Matching: the contact_id sent by Make if it exists in GHL, then the contact holding the
+ * Nubimed patient ID in its custom field, then the contact the patient was synced to before
+ * (local journal), else the upsert matches on phone/email
+ * Events without a booking (invoices, ...) pass requireAppointmentDate: false, patient
+ * updates pass patientOnly: true so the edited fields are also written to a provided contact_id
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ * @returns {Promise<{ success: true, contactId: string, isNew: boolean, matchedBy: 'contact_id'|'patient_id'|'upsert' }>}
+ */
+async function syncToGHL(tenant, event, { requireAppointmentDate = true, patientOnly = false } = {}) {
+  try {
+    requireCredentials(tenant);
+
+    const patient = getPrimaryPatient(event);
+    const patientId = patient ? patient.id : null;
 
     // Check if contact_id is provided in payload (new format)
-    const providedContactId = nubimedPayload.contact_id;
+    const providedContactId = event.contactId;
     
     // If contact_id is provided, we can skip contact sync and return it
     // But we still need to validate the contact exists
-    if (providedContactId) {
+    // Patient updates instead write the edited fields to it below
+    if (providedContactId && !patientOnly) {
       try {
         // Verify contact exists
-        const verifyResponse = await fetch(
-          `${GHL_API_BASE}/contacts/${providedContactId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${GHL_API_TOKEN}`,
-              'Version': '2021-07-28'
-            }
-          }
-        );
+        const verifyResponse = await ghlFetch(tenant, `/contacts/${providedContactId}`);
 
         if (verifyResponse.ok) {
           logSuccess('CONTACT_ID_PROVIDED', {
             contactId: providedContactId,
             verified: true
           });
+          contactUpserts.inc({ outcome: 'provided' });
+          savePatientContact(tenant.id, patientId, providedContactId);
           return {
             success: true,
             contactId: providedContactId,
             isNew: false,
-            provided: true
+            provided: true,
+            matchedBy: 'contact_id'
           };
         } else {
           logWarning('CONTACT_ID_NOT_FOUND', {
@@ -331,125 +564,53 @@ async function syncToGHL(nubimedPayload) {
       }
     }
 
-    const patientData = extractPatientData(nubimedPayload);
-    
-    
-    if (!patientData.phone && !patientData.email) {
-      logError('MISSING_CONTACT_INFO', {
-        patientData,
-        payload: JSON.stringify(nubimedPayload).substring(0, 500)
-      });
-      throw new Error('Phone or email is required to sync contact');
-    }
-    
-    if (!patientData.appointmentDate) {
+    const patientData = extractPatientData(event, tenant.timezone);
+
+    if (requireAppointmentDate && !patientOnly && !patientData.appointmentDate) {
       throw new Error('Appointment date is required');
     }
 
-    // Build custom fields array using the correct GHL API format
-    // Format: customFields array with objects containing id and field_value
-    // From customfields.json:
-    // - fecha_ultima_cita_T: id "VK7oRWrcyv0MtiLY0MJq" (TEXT field) - needs human-readable format
-    // - fecha_ultima_cita: id "SogU2vTkISpnltBjY2K8" (DATE field) - needs ISO format (YYYY-MM-DD)
-    // - Rut (NIN): id "rEzf1QqhOgXzBp8bukTc" (TEXT field)
-    // - Sexo: id "8JY1foA1enB0jV3V8mZ1" (TEXT field)
-    const customFieldsArray = [];
-    
-    // TEXT field: Use human-readable format for workflows/messages
-    if (patientData.appointmentDateText) {
-      customFieldsArray.push({
-        id: "VK7oRWrcyv0MtiLY0MJq", // fecha_ultima_cita_T (TEXT)
-        field_value: patientData.appointmentDateText // "09/12/2025 a las 09:15"
-      });
-    }
-    
-    // DATE field: Use ISO format (YYYY-MM-DD) to avoid date parsing errors
-    if (patientData.appointmentDateISO) {
-      customFieldsArray.push({
-        id: "SogU2vTkISpnltBjY2K8", // fecha_ultima_cita (DATE)
-        field_value: patientData.appointmentDateISO // "2025-12-09"
-      });
-    }
-    
-    // Add NIN (Rut) custom field
-    if (patientData.nin) {
-      customFieldsArray.push({
-        id: "rEzf1QqhOgXzBp8bukTc", // Rut (NIN)
-        field_value: patientData.nin
-      });
-    }
-    
-    // Add Sex custom field (format: convert "sexo_femenino" -> "Mujer", "sexo_masculino" -> "Hombre")
-    if (patientData.sex) {
-      let sexValue = patientData.sex;
-      if (patientData.sex === 'sexo_femenino') {
-        sexValue = 'Mujer';
-      } else if (patientData.sex === 'sexo_masculino') {
-        sexValue = 'Hombre';
+    const contactData = buildContactPayload(tenant, patientData);
+
+    // The phone/email may be what changed in Nubimed, an upsert would then create a second contact
+    // Looked up one after the other, the GHL search only runs when the contact_id is not found
+    const knownContacts = [
+      { matchedBy: 'contact_id', lookup: () => (patientOnly ? providedContactId : null) },
+      { matchedBy: 'patient_id', lookup: () => searchContactByPatientId(tenant, patientId) },
+      { matchedBy: 'patient_id', lookup: () => getPatientContactId(tenant.id, patientId), mapped: true }
+    ];
+    const tried = new Set();
+
+    for (const { matchedBy, lookup, mapped } of knownContacts) {
+      const contactId = await lookup();
+      if (!contactId || tried.has(contactId)) continue;
+      tried.add(contactId);
+
+      if (await updateMappedContact(tenant, contactId, contactData)) {
+        logSuccess('SYNC_SUCCESS', { contactId, isNew: false, matchedBy, patientId });
+        contactUpserts.inc({ outcome: 'updated' });
+        savePatientContact(tenant.id, patientId, contactId);
+        return { success: true, contactId, isNew: false, matchedBy };
       }
-      customFieldsArray.push({
-        id: "8JY1foA1enB0jV3V8mZ1", // Sexo
-        field_value: sexValue
-      });
-    }
 
-    // Build contact data with all available fields
-    const contactData = {
-      locationId: GHL_LOCATION_ID,
-      phone: patientData.phone,
-      email: patientData.email,
-      firstName: patientData.firstName,
-      lastName: patientData.lastName,
-      source: 'Nubimed',
-      customFields: customFieldsArray.length > 0 ? customFieldsArray : undefined,
-      tags: ['nubimed contact']
-    };
-    
-    // Add address fields if available
-    if (patientData.address) {
-      contactData.address1 = patientData.address;
-    }
-    if (patientData.city) {
-      contactData.city = patientData.city;
-    }
-    if (patientData.province) {
-      contactData.state = patientData.province;
-    }
-    if (patientData.postalCode) {
-      contactData.postalCode = patientData.postalCode;
-    }
-    if (patientData.country) {
-      // Normalize country to ISO 3166-1 alpha-2 code (required by GHL API)
-      // This handles all variations: "españa", "España", "ESPAÑA", "ES", etc.
-      const countryCode = normalizeCountryCode(patientData.country);
-      contactData.country = countryCode;
-    }
-    
-    // Add date of birth if available (format: YYYY-MM-DD)
-    if (patientData.dateOfBirth) {
-      contactData.dateOfBirth = patientData.dateOfBirth;
-    }
-
-    // Clean up null/undefined/empty fields
-    Object.keys(contactData).forEach(key => {
-      const value = contactData[key];
-      // Remove if null, undefined, or empty string (except for tags and customFields arrays)
-      if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '' && key !== 'tags')) {
-        delete contactData[key];
+      logWarning(matchedBy === 'patient_id' ? 'PATIENT_CONTACT_NOT_FOUND' : 'CONTACT_ID_NOT_FOUND', {
+        patientId,
+        contactId,
+        message: 'Contact not found in GHL, matching by phone/email'
+      });
+      if (mapped) {
+        forgetPatientContact(tenant.id, patientId);
       }
-    });
-    
-    // Clean up customFields array if empty
-    if (contactData.customFields && contactData.customFields.length === 0) {
-      delete contactData.customFields;
     }
-    
-    // Remove empty firstName/lastName (they should be strings but empty strings are not useful)
-    if (contactData.firstName && contactData.firstName.trim() === '') {
-      delete contactData.firstName;
-    }
-    if (contactData.lastName && contactData.lastName.trim() === '') {
-      delete contactData.lastName;
+
+    if (!patientData.phone && !patientData.email) {
+      logError('MISSING_CONTACT_INFO', {
+        patientData,
+        payload: JSON.stringify(event.raw).substring(0, 500)
+      });
+      const missingError = new Error('Phone or email is required to sync contact');
+      missingError.code = 'MISSING_CONTACT_INFO';
+      throw missingError;
     }
 
     logSuccess('SYNC_ATTEMPT', {
@@ -457,14 +618,9 @@ async function syncToGHL(nubimedPayload) {
       patientData
     });
 
-    const response = await fetch(`${GHL_API_BASE}/contacts/upsert`, {
+    const response = await ghlFetch(tenant, '/contacts/upsert', {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GHL_API_TOKEN}`,
-        'Version': '2021-07-28',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(contactData)
+      body: contactData
     });
 
     const responseText = await response.text();
@@ -473,7 +629,9 @@ async function syncToGHL(nubimedPayload) {
     try {
       result = JSON.parse(responseText);
     } catch (e) {
-      throw new Error(`Invalid JSON response: ${responseText}`);
+      const parseError = new Error(`Invalid JSON response: ${responseText}`);
+      parseError.status = response.status;
+      throw parseError;
     }
 
     if (!response.ok) {
@@ -483,7 +641,9 @@ async function syncToGHL(nubimedPayload) {
         response: result
       });
       
-      throw new Error(`GHL API error (${response.status}): ${result.message || JSON.stringify(result)}`);
+      const apiError = new Error(`GHL API error (${response.status}): ${result.message || JSON.stringify(result)}`);
+      apiError.status = response.status; // Lets the sync queue tell 429/5xx apart from permanent errors
+      throw apiError;
     }
 
     const contactId = result.contact?.id || result.id;
@@ -494,11 +654,14 @@ async function syncToGHL(nubimedPayload) {
       isNew,
       result
     });
+    contactUpserts.inc({ outcome: isNew ? 'created' : 'updated' });
+    savePatientContact(tenant.id, patientId, contactId);
 
     return {
       success: true,
       contactId,
       isNew,
+      matchedBy: 'upsert',
       result
     };
 
@@ -506,27 +669,20 @@ async function syncToGHL(nubimedPayload) {
     logError('SYNC_ERROR', {
       error: error.message,
       stack: error.stack,
-      payload: nubimedPayload
+      payload: event.raw
     });
+    contactUpserts.inc({ outcome: 'failed' });
     throw error;
   }
 }
 
-async function searchContact(phone, email) {
+async function searchContact(tenant, phone, email) {
   try {
     const searchParams = new URLSearchParams();
     if (phone) searchParams.append('phone', phone);
     if (email) searchParams.append('email', email);
 
-    const response = await fetch(
-      `${GHL_API_BASE}/contacts/search?${searchParams.toString()}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${GHL_API_TOKEN}`,
-          'Version': '2021-07-28'
-        }
-      }
-    );
+    const response = await ghlFetch(tenant, `/contacts/search?${searchParams.toString()}`);
 
     if (!response.ok) {
       throw new Error(`Search failed: ${response.statusText}`);
@@ -544,8 +700,18 @@ async function searchContact(phone, email) {
 module.exports = {
   syncToGHL,
   searchContact,
+  searchContactByPatientId,
+  buildPatientSearchPayload,
   formatPhone,
   formatDateForGHL,
-  extractPatientData
+  formatDateForDateField,
+  extractPatientData,
+  buildContactPayload,
+  buildAttendancePayload,
+  getContact,
+  getCustomFieldValue,
+  updateContact,
+  monthsBetween,
+  lookupCountryCode
 };
 
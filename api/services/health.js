@@ -0,0 +1,246 @@
+const fs = require('fs');
+const { logWarning } = require('../utils/logger');
+const { getStoreDir, isStoreDirConfigured } = require('../utils/journal');
+const { ghlFetch } = require('./ghl-client');
+const { listTenants } = require('./tenant-registry');
+const { getSyncQueueStats } = require('./sync-pipeline');
+const { countDeadLetters } = require('./dead-letter-store');
+
+const HEALTH_GHL_TIMEOUT_MS = Number(process.env.HEALTH_GHL_TIMEOUT_MS) || 5000;
+// Readiness probes run every few seconds, GHL results are reused for this long
+const HEALTH_GHL_CACHE_TTL_MS = Number(process.env.HEALTH_GHL_CACHE_TTL_MS) || 60000;
+const HEALTH_QUEUE_WARN_DEPTH = Number(process.env.HEALTH_QUEUE_WARN_DEPTH) || 100;
+const HEALTH_DEAD_LETTER_WARN_COUNT = Number(process.env.HEALTH_DEAD_LETTER_WARN_COUNT) || 1;
+
+const ghlCache = new Map();
+
+function check(name, status, message, details = {}) {
+  return { name, status, message, ...details };
+}
+
+/**
+ * GET a GHL path for a health check, returns { ok, status, body, error }
+ */
+async function probeGhl(tenant, path) {
+  try {
+    const response = await ghlFetch(tenant, path, { signal: AbortSignal.timeout(HEALTH_GHL_TIMEOUT_MS) });
+    const body = await response.json().catch(() => null);
+    return { ok: response.ok, status: response.status, body };
+  } catch (error) {
+    return { ok: false, status: null, body: null, error: error.message };
+  }
+}
+
+function describeProbeFailure(probe) {
+  return probe.status ? `GHL responded ${probe.status}` : `GHL unreachable (${probe.error})`;
+}
+
+/**
+ * Required settings of a tenant (see tenant-registry for where they come from)
+ * @param {import('./tenant-registry').Tenant} tenant
+ */
+function checkTenantConfig(tenant) {
+  const missing = [
+    ['apiToken', tenant.ghl.apiToken],
+    ['locationId', tenant.ghl.locationId],
+    ['calendarId', tenant.ghl.calendarId]
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  if (missing.length > 0) {
+    return check('config', 'fail', `Missing GHL settings: ${missing.join(', ')}`, { tenantId: tenant.id, missing });
+  }
+  return check('config', 'ok', 'GHL settings present', { tenantId: tenant.id });
+}
+
+/**
+ * Budget pipeline and its stages, when the tenant has one configured
+ * @param {import('./tenant-registry').Tenant} tenant
+ */
+async function checkBudgetPipeline(tenant) {
+  const tenantId = tenant.id;
+  const { pipelineId, stages } = tenant.ghl.budgetPipeline;
+
+  const pipelines = await probeGhl(tenant, `/opportunities/pipelines?locationId=${tenant.ghl.locationId}`);
+  if (!pipelines.ok) {
+    return check('budget_pipeline', 'fail', `Could not list pipelines: ${describeProbeFailure(pipelines)}`, {
+      tenantId,
+      httpStatus: pipelines.status
+    });
+  }
+
+  const pipeline = ((pipelines.body && pipelines.body.pipelines) || []).find(entry => entry.id === pipelineId);
+  if (!pipeline) {
+    return check('budget_pipeline', 'fail', `Budget pipeline ${pipelineId} not found in GHL`, { tenantId, pipelineId });
+  }
+
+  const existing = new Set((pipeline.stages || []).map(stage => stage.id));
+  const missing = Object.entries(stages)
+    .filter(([, stageId]) => !existing.has(stageId))
+    .map(([state, stageId]) => ({ state, stageId }));
+  return missing.length > 0
+    ? check('budget_pipeline', 'fail', `${missing.length} budget stage(s) not found in pipeline ${pipelineId}`, { tenantId, missing })
+    : check('budget_pipeline', 'ok', `Budget pipeline "${pipeline.name}" found`, { tenantId });
+}
+
+/**
+ * Authenticated GHL call plus the calendars, custom fields and budget pipeline the sync writes to
+ * @param {import('./tenant-registry').Tenant} tenant
+ */
+async function checkTenantGhl(tenant) {
+  const tenantId = tenant.id;
+  const { locationId } = tenant.ghl;
+
+  const location = await probeGhl(tenant, `/locations/${locationId}`);
+  if (!location.ok) {
+    const message = `Authenticated GHL call failed: ${describeProbeFailure(location)}`;
+    const skipped = [
+      check('ghl_auth', 'fail', message, { tenantId, httpStatus: location.status }),
+      check('calendars', 'skipped', 'GHL authentication failed', { tenantId }),
+      check('custom_fields', 'skipped', 'GHL authentication failed', { tenantId })
+    ];
+    if (tenant.ghl.budgetPipeline) {
+      skipped.push(check('budget_pipeline', 'skipped', 'GHL authentication failed', { tenantId }));
+    }
+    return skipped;
+  }
+
+  const calendarIds = Array.from(new Set([
+    tenant.ghl.calendarId,
+    ...Object.values(tenant.ghl.doctorCalendars)
+  ]));
+  const calendarProbes = await Promise.all(calendarIds.map(async calendarId => ({
+    calendarId,
+    probe: await probeGhl(tenant, `/calendars/${calendarId}`)
+  })));
+  const badCalendars = calendarProbes
+    .filter(({ probe }) => !probe.ok)
+    .map(({ calendarId, probe }) => ({ calendarId, problem: describeProbeFailure(probe) }));
+
+  const fields = await probeGhl(tenant, `/locations/${locationId}/customFields`);
+  let customFieldsCheck;
+  if (!fields.ok) {
+    customFieldsCheck = check('custom_fields', 'fail', `Could not list custom fields: ${describeProbeFailure(fields)}`, {
+      tenantId,
+      httpStatus: fields.status
+    });
+  } else {
+    const existing = new Set(((fields.body && fields.body.customFields) || []).map(field => field.id));
+    // Optional fields (e.g. lifetimeBilledValue) are null when not configured
+    const configured = Object.entries(tenant.customFields).filter(([, fieldId]) => fieldId);
+    const missing = configured
+      .filter(([, fieldId]) => !existing.has(fieldId))
+      .map(([key, fieldId]) => ({ key, fieldId }));
+    customFieldsCheck = missing.length > 0
+      ? check('custom_fields', 'fail', `${missing.length} configured custom field(s) not found in GHL`, { tenantId, missing })
+      : check('custom_fields', 'ok', `${configured.length} custom fields found`, { tenantId });
+  }
+
+  const checks = [
+    check('ghl_auth', 'ok', 'Authenticated GHL call succeeded', { tenantId }),
+    badCalendars.length > 0
+      ? check('calendars', 'fail', `${badCalendars.length} configured calendar(s) not found in GHL`, { tenantId, calendars: badCalendars })
+      : check('calendars', 'ok', `${calendarIds.length} calendar(s) found`, { tenantId }),
+    customFieldsCheck
+  ];
+  if (tenant.ghl.budgetPipeline) {
+    checks.push(await checkBudgetPipeline(tenant));
+  }
+  return checks;
+}
+
+/**
+ * checkTenantGhl with a short cache, so probes do not eat into the GHL rate limit
+ * Only passing results are cached: a failed probe is retried, so recovery shows up at once
+ */
+async function checkTenantGhlCached(tenant) {
+  const cached = ghlCache.get(tenant.id);
+  if (cached && Date.now() - cached.checkedAt < HEALTH_GHL_CACHE_TTL_MS) {
+    return cached.checks.map(entry => ({ ...entry, cachedAt: new Date(cached.checkedAt).toISOString() }));
+  }
+
+  const checks = await checkTenantGhl(tenant);
+  if (checks.some(entry => entry.status === 'fail')) {
+    ghlCache.delete(tenant.id);
+  } else {
+    ghlCache.set(tenant.id, { checks, checkedAt: Date.now() });
+  }
+  return checks;
+}
+
+/**
+ * Store directory of the event, dead-letter and mapping journals
+ * The OS temp dir default is per instance and lost on restarts: fail in production, warn elsewhere
+ */
+function checkEventStore() {
+  const storeDir = getStoreDir();
+
+  if (!isStoreDirConfigured()) {
+    const status = process.env.NODE_ENV === 'production' ? 'fail' : 'warn';
+    return check('event_store', status, `EVENT_STORE_DIR is not set, stores live in ${storeDir} (per instance, lost on restart)`, { storeDir });
+  }
+
+  try {
+    fs.mkdirSync(storeDir, { recursive: true });
+    fs.accessSync(storeDir, fs.constants.W_OK);
+  } catch (error) {
+    return check('event_store', 'fail', `Store directory is not writable: ${error.message}`, { storeDir });
+  }
+  return check('event_store', 'ok', 'Store directory is writable', { storeDir });
+}
+
+function checkQueue() {
+  const stats = getSyncQueueStats();
+  const depth = stats.pending + stats.active + stats.delayed;
+  const status = depth >= HEALTH_QUEUE_WARN_DEPTH ? 'warn' : 'ok';
+  return check('queue', status, `${depth} job(s) queued or running`, { depth, ...stats });
+}
+
+function checkDeadLetters() {
+  const count = countDeadLetters();
+  const status = count >= HEALTH_DEAD_LETTER_WARN_COUNT ? 'warn' : 'ok';
+  return check('dead_letters', status, `${count} event(s) in the dead-letter queue`, { count });
+}
+
+/**
+ * Readiness: configuration, GHL access, calendars, custom fields and budget pipeline of every tenant,
+ * plus the store directory, queue depth and dead-letter count
+ * Check status is ok, warn, fail or skipped (depends on a failed check); only fail makes it not ready
+ * Returns { ready, status: ok|degraded|fail, checks }
+ */
+async function checkReadiness() {
+  const checks = [];
+
+  let tenants = [];
+  try {
+    tenants = listTenants();
+  } catch (registryError) {
+    checks.push(check('config', 'fail', registryError.message));
+  }
+
+  for (const tenant of tenants) {
+    const configCheck = checkTenantConfig(tenant);
+    checks.push(configCheck);
+    if (configCheck.status === 'ok') {
+      checks.push(...await checkTenantGhlCached(tenant));
+    }
+  }
+
+  checks.push(checkEventStore(), checkQueue(), checkDeadLetters());
+
+  const failed = checks.filter(entry => entry.status === 'fail');
+  const status = failed.length > 0
+    ? 'fail'
+    : checks.some(entry => entry.status === 'warn') ? 'degraded' : 'ok';
+
+  if (failed.length > 0) {
+    logWarning('READINESS_CHECK_FAILED', {
+      checks: failed.map(entry => ({ name: entry.name, tenantId: entry.tenantId, message: entry.message }))
+    });
+  }
+
+  return { ready: failed.length === 0, status, checks };
+}
+
+module.exports = {
+  checkReadiness
+};
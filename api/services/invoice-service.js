@@ -0,0 +1,113 @@
+const { logError, logSuccess, logWarning } = require('../utils/logger');
+const { ghlFetch, requireCredentials, parseResponse, toApiError } = require('./ghl-client');
+const { getContact, getCustomFieldValue, updateContact } = require('./ghl-service');
+
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return '-';
+  return currency ? `${amount.toFixed(2)} ${currency}` : amount.toFixed(2);
+}
+
+// Invoice date as dd/mm/yyyy in the clinic timezone (date-only values are kept as sent)
+function formatInvoiceDate(date, timezone) {
+  if (!date) return '-';
+  const d = new Date(date);
+  if (isNaN(d)) return String(date);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+    return String(date).split('-').reverse().join('/');
+  }
+  return new Intl.DateTimeFormat('es-ES', { timeZone: timezone, day: '2-digit', month: '2-digit', year: 'numeric' }).format(d);
+}
+
+/**
+ * Text of the contact note recording a Nubimed invoice
+ * @param {import('./tenant-registry').Tenant} tenant
+ * @param {import('../models/nubimed-event').NubimedInvoice} invoice
+ */
+function buildInvoiceNote(tenant, invoice) {
+  const lines = [
+    `Factura ${invoice.number || invoice.id} (Nubimed)`,
+    `Fecha: ${formatInvoiceDate(invoice.date, tenant.timezone)}`,
+    `Importe: ${formatMoney(invoice.amount, invoice.currency)}`,
+    `Estado: ${invoice.paid ? 'Pagada' : 'Pendiente de pago'}`
+  ];
+
+  if (invoice.items.length > 0) {
+    lines.push('Conceptos:');
+    for (const item of invoice.items) {
+      const quantity = item.quantity !== null && item.quantity !== 1 ? ` x${item.quantity}` : '';
+      lines.push(`- ${item.description || 'Concepto'}${quantity}: ${formatMoney(item.amount, invoice.currency)}`);
+    }
+  }
+
+  lines.push(`ID factura Nubimed: ${invoice.id}`);
+  return lines.join('\n');
+}
+
+/**
+ * Create the invoice note on a contact, or update it when the invoice was already recorded
+ * A note deleted in GHL is created again
+ * @returns {Promise<{ noteId: string, action: 'created'|'updated' }>}
+ */
+async function saveInvoiceNote(tenant, contactId, noteId, body) {
+  requireCredentials(tenant);
+
+  if (noteId) {
+    const response = await ghlFetch(tenant, `/contacts/${contactId}/notes/${noteId}`, {
+      method: 'PUT',
+      body: { body }
+    });
+
+    if (response.ok) {
+      logSuccess('INVOICE_NOTE_UPDATED', { contactId, noteId });
+      return { noteId, action: 'updated' };
+    }
+
+    if (response.status !== 404) {
+      const result = await parseResponse(response);
+      logError('INVOICE_NOTE_UPDATE_ERROR', { contactId, noteId, status: response.status, response: result });
+      throw toApiError(response, result);
+    }
+
+    logWarning('INVOICE_NOTE_NOT_FOUND', { contactId, noteId, message: 'Note deleted in GHL, creating it again' });
+  }
+
+  const response = await ghlFetch(tenant, `/contacts/${contactId}/notes`, {
+    method: 'POST',
+    body: { body }
+  });
+  const result = await parseResponse(response);
+
+  if (!response.ok) {
+    logError('INVOICE_NOTE_CREATE_ERROR', { contactId, status: response.status, response: result });
+    throw toApiError(response, result);
+  }
+
+  const createdNoteId = result.note?.id || result.id;
+  logSuccess('INVOICE_NOTE_CREATED', { contactId, noteId: createdNoteId });
+  return { noteId: createdNoteId, action: 'created' };
+}
+
+/**
+ * Add an amount to the contact's lifetime billed value field
+ * Read-modify-write: callers hold the contact lock
+ * @returns {Promise<number>} The new lifetime value
+ */
+async function addToLifetimeBilledValue(tenant, contactId, delta) {
+  const fieldId = tenant.customFields.lifetimeBilledValue;
+  const contact = await getContact(tenant, contactId);
+  const current = Number(getCustomFieldValue(contact, fieldId)) || 0;
+  const total = Math.round((current + delta) * 100) / 100;
+
+  await updateContact(tenant, contactId, {
+    customFields: [{ id: fieldId, field_value: total }]
+  });
+
+  logSuccess('LIFETIME_BILLED_VALUE_UPDATED', { contactId, previous: current, delta, total });
+  return total;
+}
+
+module.exports = {
+  buildInvoiceNote,
+  saveInvoiceNote,
+  addToLifetimeBilledValue
+};
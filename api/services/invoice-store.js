@@ -0,0 +1,37 @@
+const { createJournal } = require('../utils/journal');
+
+const journal = createJournal('invoices.jsonl');
+
+/**
+ * What was written to GHL for a Nubimed invoice of a tenant
+ * Entry: { id: "tenantId:invoiceId", tenantId, invoiceId, number, contactId, noteId, billedAmount, updatedAt }
+ * billedAmount is the amount already added to the contact's lifetime billed value,
+ * so a corrected invoice only adds the difference
+ */
+function getInvoiceRecord(tenantId, invoiceId) {
+  return invoiceId ? journal.get(`${tenantId}:${invoiceId}`) : null;
+}
+
+/**
+ * Merge fields into the record of an invoice
+ */
+function saveInvoiceRecord(tenantId, invoiceId, fields) {
+  const previous = getInvoiceRecord(tenantId, invoiceId) || {
+    tenantId,
+    invoiceId: String(invoiceId),
+    noteId: null,
+    billedAmount: null
+  };
+
+  return journal.set({
+    ...previous,
+    ...fields,
+    id: `${tenantId}:${invoiceId}`,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  getInvoiceRecord,
+  saveInvoiceRecord
+};
@@ -0,0 +1,40 @@
+const { createJournal } = require('../utils/journal');
+
+const journal = createJournal('patient-contacts.jsonl');
+
+/**
+ * GHL contact a Nubimed patient of a tenant was synced to
+ * Entry: { id: "tenantId:patientId", tenantId, patientId, contactId, updatedAt }
+ * Lets a patient whose phone/email changed in Nubimed find their contact again
+ */
+function getPatientContactId(tenantId, patientId) {
+  const record = patientId ? journal.get(`${tenantId}:${patientId}`) : null;
+  return record ? record.contactId : null;
+}
+
+function savePatientContact(tenantId, patientId, contactId) {
+  if (!patientId || !contactId || getPatientContactId(tenantId, patientId) === contactId) {
+    return;
+  }
+
+  journal.set({
+    id: `${tenantId}:${patientId}`,
+    tenantId,
+    patientId: String(patientId),
+    contactId,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Drop a mapping whose contact no longer exists in GHL
+ */
+function forgetPatientContact(tenantId, patientId) {
+  return journal.remove(`${tenantId}:${patientId}`);
+}
+
+module.exports = {
+  getPatientContactId,
+  savePatientContact,
+  forgetPatientContact
+};
@@ -0,0 +1,84 @@
+const { createCounter, createHistogram } = require('../utils/metrics');
+
+// Metrics of the webhook → filter → GHL pipeline, exposed on GET /metrics
+
+const webhooksReceived = createCounter({
+  name: 'nubimed_ghl_webhooks_received_total',
+  help: 'Nubimed events received, by event name and content type (batch items count one by one)',
+  labelNames: ['event', 'content_type']
+});
+
+const filterDecisions = createCounter({
+  name: 'nubimed_ghl_filter_decisions_total',
+  help: 'Routing and filter decisions for received events',
+  labelNames: ['handler', 'decision', 'reason']
+});
+
+const contactUpserts = createCounter({
+  name: 'nubimed_ghl_contact_upserts_total',
+  help: 'GHL contact sync attempts by outcome (created, updated, provided, failed)',
+  labelNames: ['outcome']
+});
+
+const appointmentActions = createCounter({
+  name: 'nubimed_ghl_appointment_actions_total',
+  help: 'GHL calendar appointment actions (created, updated, no_changes, updated_via_create, deleted, already_deleted, showed, not_found)',
+  labelNames: ['action']
+});
+
+const invoiceNotes = createCounter({
+  name: 'nubimed_ghl_invoice_notes_total',
+  help: 'Invoice notes written to GHL contacts (created, updated)',
+  labelNames: ['action']
+});
+
+const opportunityActions = createCounter({
+  name: 'nubimed_ghl_opportunity_actions_total',
+  help: 'Budget opportunities written to the GHL pipeline (created, updated)',
+  labelNames: ['action']
+});
+
+const ghlRequests = createCounter({
+  name: 'nubimed_ghl_api_requests_total',
+  help: 'GHL API requests by endpoint and HTTP status ("error" when no response was received)',
+  labelNames: ['tenant', 'method', 'endpoint', 'status']
+});
+
+const ghlRequestDuration = createHistogram({
+  name: 'nubimed_ghl_api_request_duration_seconds',
+  help: 'GHL API request latency by endpoint',
+  labelNames: ['method', 'endpoint']
+});
+
+const syncRetries = createCounter({
+  name: 'nubimed_ghl_sync_retries_total',
+  help: 'Sync jobs scheduled for another attempt after a transient failure',
+  labelNames: ['handler']
+});
+
+const syncJobs = createCounter({
+  name: 'nubimed_ghl_sync_jobs_total',
+  help: 'Finished sync jobs by handler and outcome (processed, ignored, stale, failed)',
+  labelNames: ['handler', 'outcome']
+});
+
+const syncAttempts = createHistogram({
+  name: 'nubimed_ghl_sync_job_attempts',
+  help: 'Attempts a sync job needed before it finished',
+  labelNames: ['handler'],
+  buckets: [1, 2, 3, 4, 5, 10]
+});
+
+module.exports = {
+  webhooksReceived,
+  filterDecisions,
+  contactUpserts,
+  appointmentActions,
+  invoiceNotes,
+  opportunityActions,
+  ghlRequests,
+  ghlRequestDuration,
+  syncRetries,
+  syncJobs,
+  syncAttempts
+};
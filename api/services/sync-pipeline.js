@@ -0,0 +1,142 @@
+const { logSuccess } = require('../utils/logger');
+const { createQueue } = require('../utils/queue');
+const { runWithCallLog } = require('../utils/call-log');
+const { runWithCorrelationId, getCorrelationId } = require('../utils/request-context');
+const { completeEvent, appendGhlCalls } = require('./event-store');
+const { addDeadLetter, removeDeadLetter, countDeadLetters } = require('./dead-letter-store');
+const { syncRetries, syncJobs, syncAttempts } = require('./pipeline-metrics');
+const { createGauge } = require('../utils/metrics');
+const { getHandler } = require('./event-router');
+const { collectWarnings } = require('../utils/validation');
+
+/**
+ * Run the registered handler of a queued event
+ * Handlers update `progress` as stages finish, so retries resume where they failed
+ * The GHL calls of every attempt are stored with the event for the admin events API
+ */
+async function processQueuedEvent(job) {
+  const handler = getHandler(job.data.handler);
+  if (!handler || typeof handler.process !== 'function') {
+    throw new Error(`No processing handler registered as "${job.data.handler}"`);
+  }
+
+  const calls = [];
+  try {
+    return await runWithCallLog(calls, () => handler.process(job.data.event, job.data.progress));
+  } finally {
+    appendGhlCalls(job.id, calls.map(call => ({ ...call, attempt: job.attempts })));
+  }
+}
+
+const syncQueue = createQueue({
+  name: 'nubimed-sync',
+  concurrency: Number(process.env.SYNC_QUEUE_CONCURRENCY) || 1,
+  maxAttempts: Number(process.env.SYNC_MAX_ATTEMPTS) || 5,
+  baseDelayMs: Number(process.env.SYNC_RETRY_BASE_DELAY_MS) || 1000,
+  maxDelayMs: Number(process.env.SYNC_RETRY_MAX_DELAY_MS) || 60000,
+
+  handler: processQueuedEvent,
+
+  // The worker may be woken by another request: logs and GHL calls use the job's correlation ID
+  runInContext(job, fn) {
+    return runWithCorrelationId(job.data.correlationId, fn);
+  },
+
+  onSuccess(job, result = {}) {
+    const { outcome = 'processed', message = 'Webhook processed successfully', ...fields } = result;
+
+    logSuccess('WEBHOOK_PROCESSED', {
+      eventId: job.id,
+      handler: job.data.handler,
+      attempts: job.attempts,
+      outcome,
+      result: fields
+    });
+
+    syncJobs.inc({ handler: job.data.handler, outcome });
+    syncAttempts.observe({ handler: job.data.handler }, job.attempts);
+
+    completeEvent(job.id, {
+      outcome,
+      response: {
+        status: outcome === 'processed' ? 'success' : outcome,
+        message,
+        ...fields,
+        warnings: collectWarnings(job.data.event)
+      },
+      progress: job.data.progress
+    });
+
+    // A redelivery or replay of a dead-lettered event succeeded
+    removeDeadLetter(job.id, 'processed');
+  },
+
+  onRetry(job) {
+    syncRetries.inc({ handler: job.data.handler });
+  },
+
+  onFailure(job, error) {
+    syncJobs.inc({ handler: job.data.handler, outcome: 'failed' });
+    syncAttempts.observe({ handler: job.data.handler }, job.attempts);
+
+    completeEvent(job.id, {
+      outcome: 'failed',
+      response: {
+        status: 'error',
+        message: 'Webhook received but error occurred',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal error'
+      },
+      error: error.message,
+      progress: job.data.progress
+    });
+
+    addDeadLetter({
+      eventId: job.id,
+      event: job.data.event,
+      handler: job.data.handler,
+      stage: error.stage,
+      error,
+      attempts: job.attempts,
+      progress: job.data.progress
+    });
+  }
+});
+
+createGauge({
+  name: 'nubimed_ghl_sync_queue_jobs',
+  help: 'Sync jobs waiting, running or waiting for a retry',
+  labelNames: ['state'],
+  collect: () => Object.entries(syncQueue.getStats()).map(([state, value]) => ({ labels: { state }, value }))
+});
+
+createGauge({
+  name: 'nubimed_ghl_dead_letters',
+  help: 'Events in the dead-letter queue',
+  collect: () => countDeadLetters()
+});
+
+/**
+ * Queue a stored event for background processing by a registered handler
+ * Pass the progress of a previous run to resume after its last finished stage
+ * The job keeps the correlation ID of the request that queued it unless one is given
+ */
+function enqueueSync(eventId, event, { handler, progress = {}, correlationId = getCorrelationId() }) {
+  return syncQueue.enqueue(eventId, { event, handler, progress: { ...progress }, correlationId });
+}
+
+/**
+ * Whether an event is waiting, running or waiting for a retry in the sync queue
+ */
+function isSyncQueued(eventId) {
+  return syncQueue.isQueued(eventId);
+}
+
+function getSyncQueueStats() {
+  return syncQueue.getStats();
+}
+
+module.exports = {
+  enqueueSync,
+  isSyncQueued,
+  getSyncQueueStats
+};
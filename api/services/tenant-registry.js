@@ -0,0 +1,263 @@
+const fs = require('fs');
+const { logError, logWarning } = require('../utils/logger');
+
+const DEFAULT_GHL_API_BASE = 'https://services.leadconnectorhq.com';
+const DEFAULT_TIMEZONE = 'Europe/Madrid';
+
+const BUDGET_STATES = ['pending', 'accepted', 'rejected'];
+
+// GHL custom field IDs (see customfields.json), overridable per tenant
+const DEFAULT_CUSTOM_FIELDS = {
+  lastAppointmentDate: 'SogU2vTkISpnltBjY2K8', // fecha_ultima_cita (DATE)
+  lastAppointmentDateText: 'VK7oRWrcyv0MtiLY0MJq', // fecha_ultima_cita_T (TEXT)
+  monthsSinceLastAppointment: 'fWG3dcpYwbgozFcIaFqq', // meses_desde_la_ultima_cita (NUMERICAL)
+  nin: 'rEzf1QqhOgXzBp8bukTc', // Rut (NIN)
+  sex: '8JY1foA1enB0jV3V8mZ1', // Sexo
+  appointmentIds: 'sDiKLOU2RCLGSGubvImI', // Appointment IDs (comma-separated)
+  bookingIds: 'cp4F0qVNGNclyphsr5jk', // Nubimed Booking IDs (comma-separated)
+  treatmentPlan: 'ZW5UmeYRoA3gZa5KYsUA', // EH_Plan de Tratamiento (TEXT)
+  treatmentValue: 'SkvDolm6xe7falZ60sQP', // EH_Valor tratamiento (TEXT)
+  control3Months: '43CpYijdQX6mVmzuUQ9w', // fecha_control_3_meses (DATE)
+  control6Months: 'U3vHjNWmRJgWhpsognqM', // fecha_control_6_meses (DATE)
+  control9Months: 'lBVpS95G3Ll9o7p8DGbn', // fecha_control_9_meses (DATE)
+  control12Months: 'LFrsCQjeKaB0GtW5X90m', // fecha_control_12_meses (DATE)
+  control18Months: 'jn8bfpTTG3c8wAqIDUwz', // fecha_control_18_meses (DATE)
+  nextControlDate: 'TvJluFKDN4hYTDP84nBh', // Fecha Control (DATE)
+  controlTreatment: null, // Treatment that set the control dates (TEXT), not written unless configured (EH_Control holds clinician notes)
+  lifetimeBilledValue: null, // Total invoiced to the patient (NUMERICAL), not kept unless configured
+  nubimedPatientId: null // Nubimed patient ID (TEXT), patients are matched on it first once configured
+};
+
+/**
+ * @typedef {Object} BudgetPipeline
+ * @property {string} pipelineId - GHL pipeline of the budget opportunities
+ * @property {{ pending: string, accepted: string, rejected: string }} stages - Pipeline stage ID per budget state
+ */
+
+/**
+ * @typedef {Object} Tenant
+ * @property {string} id - Also the per-tenant webhook path: /webhook/tenants/:id/nubimed
+ * @property {string[]} centers - Nubimed center IDs or names routed to this tenant
+ * @property {{ apiBase: string, apiToken: string, locationId: string, calendarId: string, assignedUserId: string, doctorCalendars: Object<string, string>, budgetPipeline: BudgetPipeline|null }} ghl
+ * @property {typeof DEFAULT_CUSTOM_FIELDS} customFields
+ * @property {string} timezone - IANA timezone for dates written to GHL
+ */
+
+/**
+ * Check a budget pipeline config, null when the tenant has none (budgets then only fill the contact fields)
+ * @returns {BudgetPipeline|null}
+ */
+function normalizeBudgetPipeline(config, tenantId) {
+  if (!config || !config.pipelineId) {
+    return null;
+  }
+
+  const stages = config.stages || {};
+  const missing = BUDGET_STATES.filter(state => !stages[state]);
+  if (missing.length > 0) {
+    throw new Error(`Tenant "${tenantId}" budget pipeline requires a stage for: ${missing.join(', ')}`);
+  }
+
+  return {
+    pipelineId: config.pipelineId,
+    stages: { pending: stages.pending, accepted: stages.accepted, rejected: stages.rejected }
+  };
+}
+
+/**
+ * Single tenant from the GHL_* env vars (one deployment per clinic, the original setup)
+ * @returns {Tenant}
+ */
+function tenantFromEnv() {
+  return {
+    id: 'default',
+    centers: [],
+    ghl: {
+      apiBase: process.env.GHL_API_BASE || DEFAULT_GHL_API_BASE,
+      apiToken: process.env.GHL_API_TOKEN,
+      locationId: process.env.GHL_LOCATION_ID,
+      calendarId: process.env.GHL_CALENDAR_ID || 'ZRPJchKgGQpwzROdPLuH',
+      assignedUserId: process.env.GHL_ASSIGNED_USER_ID || 'BXixxlTY2nvR9n5BZUp8',
+      doctorCalendars: {},
+      budgetPipeline: normalizeBudgetPipeline({
+        pipelineId: process.env.GHL_BUDGET_PIPELINE_ID,
+        stages: {
+          pending: process.env.GHL_BUDGET_STAGE_PENDING,
+          accepted: process.env.GHL_BUDGET_STAGE_ACCEPTED,
+          rejected: process.env.GHL_BUDGET_STAGE_REJECTED
+        }
+      }, 'default')
+    },
+    customFields: {
+      ...DEFAULT_CUSTOM_FIELDS,
+      controlTreatment: process.env.GHL_CONTROL_TREATMENT_FIELD_ID || null,
+      lifetimeBilledValue: process.env.GHL_LIFETIME_BILLED_FIELD_ID || null,
+      nubimedPatientId: process.env.GHL_PATIENT_ID_FIELD_ID || null
+    },
+    timezone: process.env.GHL_TIMEZONE || DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Fill a configured tenant with defaults
+ * @returns {Tenant}
+ */
+function normalizeTenant(config) {
+  if (!config || !config.id) {
+    throw new Error('Tenant entries require an id');
+  }
+
+  const ghl = config.ghl || {};
+  if (!ghl.apiToken || !ghl.locationId || !ghl.calendarId) {
+    throw new Error(`Tenant "${config.id}" requires ghl.apiToken, ghl.locationId and ghl.calendarId`);
+  }
+
+  return {
+    id: String(config.id),
+    centers: (config.centers || []).map(center => String(center).trim().toLowerCase()),
+    ghl: {
+      apiBase: ghl.apiBase || process.env.GHL_API_BASE || DEFAULT_GHL_API_BASE,
+      apiToken: ghl.apiToken,
+      locationId: ghl.locationId,
+      calendarId: ghl.calendarId,
+      assignedUserId: ghl.assignedUserId || null,
+      doctorCalendars: ghl.doctorCalendars || {},
+      budgetPipeline: normalizeBudgetPipeline(ghl.budgetPipeline, config.id)
+    },
+    customFields: { ...DEFAULT_CUSTOM_FIELDS, ...(config.customFields || {}) },
+    timezone: config.timezone || DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Tenant config from TENANTS_CONFIG (JSON) or TENANTS_CONFIG_FILE (path to a JSON file)
+ * Format: { "defaultTenant": "id", "tenants": [ ... ] } or just the tenants array
+ * Without either variable the GHL_* env vars form a single "default" tenant
+ */
+function loadRegistry() {
+  let raw = process.env.TENANTS_CONFIG;
+  if (!raw && process.env.TENANTS_CONFIG_FILE) {
+    raw = fs.readFileSync(process.env.TENANTS_CONFIG_FILE, 'utf8');
+  }
+
+  if (!raw) {
+    const tenant = tenantFromEnv();
+    return { tenants: new Map([[tenant.id, tenant]]), defaultTenantId: tenant.id };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (parseError) {
+    logError('TENANTS_CONFIG_INVALID', { error: parseError.message });
+    throw new Error(`Invalid tenants config: ${parseError.message}`);
+  }
+
+  const entries = Array.isArray(config) ? config : (config.tenants || []);
+  const tenants = new Map(entries.map(entry => {
+    const tenant = normalizeTenant(entry);
+    return [tenant.id, tenant];
+  }));
+
+  if (tenants.size === 0) {
+    throw new Error('Tenants config has no tenants');
+  }
+
+  const defaultTenantId = config.defaultTenant || (tenants.size === 1 ? tenants.keys().next().value : null);
+  if (defaultTenantId && !tenants.has(defaultTenantId)) {
+    throw new Error(`Default tenant "${defaultTenantId}" is not configured`);
+  }
+
+  return { tenants, defaultTenantId };
+}
+
+let registry = null;
+
+function getRegistry() {
+  if (!registry) {
+    registry = loadRegistry();
+  }
+  return registry;
+}
+
+/**
+ * @returns {Tenant|null}
+ */
+function getTenant(tenantId) {
+  return getRegistry().tenants.get(tenantId) || null;
+}
+
+/**
+ * Tenant of a queued/stored event, throws when it is not configured (any more)
+ * Events stored before tenants existed have no tenantId: they get the default tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ * @returns {Tenant}
+ */
+function getTenantForEvent(event) {
+  if (!event.tenantId) {
+    event.tenantId = getRegistry().defaultTenantId;
+  }
+
+  const tenant = getTenant(event.tenantId);
+  if (!tenant) {
+    const tenantError = new Error(`Tenant "${event.tenantId}" is not configured`);
+    tenantError.status = 422;
+    throw tenantError;
+  }
+  return tenant;
+}
+
+function listTenants() {
+  return Array.from(getRegistry().tenants.values());
+}
+
+/**
+ * Pick the tenant of an inbound event: webhook path tenant, then Nubimed center
+ * (ID or name), then the default tenant
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ * @param {string} [pathTenantId] - Tenant from /webhook/tenants/:tenantId/...
+ * @returns {string|null}
+ */
+function resolveTenantId(event, pathTenantId) {
+  const { tenants, defaultTenantId } = getRegistry();
+
+  if (pathTenantId) {
+    return tenants.has(pathTenantId) ? pathTenantId : null;
+  }
+
+  if (event.center) {
+    const keys = [event.center.id, event.center.name]
+      .filter(Boolean)
+      .map(key => String(key).trim().toLowerCase());
+
+    for (const tenant of tenants.values()) {
+      if (tenant.centers.some(center => keys.includes(center))) {
+        return tenant.id;
+      }
+    }
+
+    if (!defaultTenantId) {
+      logWarning('TENANT_NOT_FOUND', { centerId: event.center.id, centerName: event.center.name });
+    }
+  }
+
+  return defaultTenantId;
+}
+
+/**
+ * GHL calendar for a booking: the doctor's calendar when mapped, else the tenant calendar
+ * @param {Tenant} tenant
+ */
+function getCalendarId(tenant, doctorId) {
+  return (doctorId && tenant.ghl.doctorCalendars[doctorId]) || tenant.ghl.calendarId;
+}
+
+module.exports = {
+  getTenant,
+  getTenantForEvent,
+  listTenants,
+  resolveTenantId,
+  getCalendarId,
+  DEFAULT_CUSTOM_FIELDS,
+  BUDGET_STATES
+};
@@ -0,0 +1,52 @@
+const { createJournal } = require('../utils/journal');
+const { logWarning } = require('../utils/logger');
+
+const journal = createJournal('last-visits.jsonl');
+
+/**
+ * Last attended visit written to a GHL contact of a tenant
+ * Entry: { id: "tenantId:contactId", tenantId, contactId, bookingId, visitAt, recordedAt }
+ */
+function getLastVisit(tenantId, contactId) {
+  return contactId ? journal.get(`${tenantId}:${contactId}`) : null;
+}
+
+/**
+ * Decide if an attended visit is the contact's latest one
+ * Completions can arrive out of order (retries, replays): an older visit must not
+ * move fecha_ultima_cita back
+ */
+function isLatestVisit(tenantId, contactId, visitAt) {
+  const lastVisit = getLastVisit(tenantId, contactId);
+  if (!lastVisit || new Date(visitAt).getTime() >= new Date(lastVisit.visitAt).getTime()) {
+    return true;
+  }
+
+  logWarning('OLDER_VISIT_SKIPPED', {
+    contactId,
+    visitAt,
+    lastVisitAt: lastVisit.visitAt,
+    lastBookingId: lastVisit.bookingId
+  });
+  return false;
+}
+
+/**
+ * Remember the attended visit once its dates are on the GHL contact
+ */
+function recordVisit(tenantId, contactId, { bookingId, visitAt }) {
+  return journal.set({
+    id: `${tenantId}:${contactId}`,
+    tenantId,
+    contactId,
+    bookingId: bookingId ? String(bookingId) : null,
+    visitAt: new Date(visitAt).toISOString(),
+    recordedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  getLastVisit,
+  isLatestVisit,
+  recordVisit
+};
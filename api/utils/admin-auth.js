@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { logWarning } = require('./logger');
+
+/**
+ * Express middleware: require "Authorization: Bearer <ADMIN_API_TOKEN>"
+ * Admin endpoints are disabled when ADMIN_API_TOKEN is not configured
+ */
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+
+  if (!adminToken) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Admin API is disabled (ADMIN_API_TOKEN not configured)'
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.replace(/^Bearer\s+/i, '');
+
+  const expected = Buffer.from(adminToken, 'utf8');
+  const received = Buffer.from(token, 'utf8');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    logWarning('ADMIN_AUTH_FAILED', {
+      path: req.originalUrl,
+      ip: req.ip
+    });
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or missing admin token'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminToken
+};
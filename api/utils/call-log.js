@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn collecting every outbound API call made while it runs into `calls`
+ * The log follows async work started by fn (awaits, timers, promise chains)
+ */
+function runWithCallLog(calls, fn) {
+  return storage.run(calls, fn);
+}
+
+/**
+ * Add a call to the current call log, no-op outside runWithCallLog
+ */
+function recordCall(call) {
+  const calls = storage.getStore();
+  if (calls) {
+    calls.push(call);
+  }
+}
+
+module.exports = {
+  runWithCallLog,
+  recordCall
+};
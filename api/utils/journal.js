@@ -0,0 +1,223 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logError, logSuccess } = require('./logger');
+
+// Rewrite a journal once it holds this many lines and at least twice as many as live records
+const JOURNAL_COMPACT_MIN_LINES = Number(process.env.JOURNAL_COMPACT_MIN_LINES) || 1000;
+
+/**
+ * Directory for file-backed stores
+ * Defaults to the OS temp dir because it is the only writable path on Vercel; that dir is
+ * per instance and wiped on cold starts, so duplicate detection and the other stores only
+ * hold within one instance unless EVENT_STORE_DIR points at persistent storage
+ * (readiness fails in production without it, see services/health)
+ */
+function getStoreDir() {
+  return process.env.EVENT_STORE_DIR || path.join(os.tmpdir(), 'nubimed-ghl');
+}
+
+function isStoreDirConfigured() {
+  return !!process.env.EVENT_STORE_DIR;
+}
+
+/**
+ * Create an append-only JSON-lines journal keyed by record id
+ * Every write appends a full snapshot of the record, the last snapshot wins on load
+ * Records are loaded once and kept in memory; the file is compacted to one line per live
+ * record when superseded snapshots pile up
+ * Options:
+ * - indexBy: fields with a lookup index for findBy (one record per value, the latest wins)
+ * - isExpired(record, now): records dropped on load and compaction (retention)
+ */
+function createJournal(fileName, { indexBy = [], isExpired = null } = {}) {
+  let records = null;
+  let lineCount = 0;
+  const indexes = new Map(indexBy.map(field => [field, new Map()]));
+
+  function getFilePath() {
+    return path.join(getStoreDir(), fileName);
+  }
+
+  function indexRecord(record) {
+    for (const [field, index] of indexes) {
+      if (record[field] !== undefined && record[field] !== null) {
+        index.set(record[field], record.id);
+      }
+    }
+  }
+
+  function unindexRecord(record) {
+    for (const [field, index] of indexes) {
+      if (index.get(record[field]) === record.id) {
+        index.delete(record[field]);
+      }
+    }
+  }
+
+  function put(record) {
+    const previous = records.get(record.id);
+    if (previous) unindexRecord(previous);
+    records.set(record.id, record);
+    indexRecord(record);
+  }
+
+  function drop(id) {
+    const previous = records.get(id);
+    if (!previous) return false;
+    unindexRecord(previous);
+    records.delete(id);
+    return true;
+  }
+
+  function pruneExpired() {
+    if (!isExpired) return 0;
+    const now = Date.now();
+    let pruned = 0;
+    for (const record of Array.from(records.values())) {
+      if (isExpired(record, now)) {
+        drop(record.id);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Rewrite the file with the live records only (temp file + rename, a crash keeps the old file)
+   */
+  function compact() {
+    load();
+    const pruned = pruneExpired();
+    const filePath = getFilePath();
+    const tempPath = `${filePath}.tmp`;
+    const previousLines = lineCount;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const content = Array.from(records.values()).map(record => JSON.stringify(record) + '\n').join('');
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+    lineCount = records.size;
+
+    logSuccess('JOURNAL_COMPACTED', { file: fileName, lines: previousLines, records: records.size, pruned });
+  }
+
+  function tryCompact() {
+    try {
+      compact();
+    } catch (error) {
+      // Appends keep working, compaction is retried on a later write
+      logError('JOURNAL_COMPACT_ERROR', { file: fileName, error: error.message });
+    }
+  }
+
+  function compactIfNeeded() {
+    if (lineCount >= JOURNAL_COMPACT_MIN_LINES && lineCount >= records.size * 2) {
+      tryCompact();
+    }
+  }
+
+  function load() {
+    if (records) return records;
+
+    records = new Map();
+    const filePath = getFilePath();
+
+    if (!fs.existsSync(filePath)) {
+      return records;
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      lineCount++;
+      try {
+        const record = JSON.parse(line);
+        if (record._deleted) {
+          drop(record.id);
+        } else {
+          put(record);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line, skip it
+        logError('JOURNAL_LINE_PARSE_ERROR', {
+          file: filePath,
+          line: index + 1,
+          error: error.message
+        });
+      }
+    });
+
+    if (pruneExpired() > 0) {
+      tryCompact();
+    } else {
+      compactIfNeeded();
+    }
+    return records;
+  }
+
+  function append(entry) {
+    const filePath = getFilePath();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    lineCount++;
+    compactIfNeeded();
+  }
+
+  return {
+    get(id) {
+      return load().get(id) || null;
+    },
+
+    set(record) {
+      if (!record || !record.id) {
+        throw new Error('Journal records require an id');
+      }
+      load();
+      put(record);
+      append(record);
+      return record;
+    },
+
+    remove(id) {
+      load();
+      const existed = drop(id);
+      if (existed) {
+        append({ id, _deleted: true });
+      }
+      return existed;
+    },
+
+    /**
+     * Record by an indexed field (see indexBy)
+     */
+    findBy(field, value) {
+      load();
+      const index = indexes.get(field);
+      if (!index) {
+        throw new Error(`Journal ${fileName} has no index on ${field}`);
+      }
+      const id = index.get(value);
+      return id ? records.get(id) || null : null;
+    },
+
+    find(predicate) {
+      for (const record of load().values()) {
+        if (predicate(record)) return record;
+      }
+      return null;
+    },
+
+    values() {
+      return Array.from(load().values());
+    },
+
+    compact
+  };
+}
+
+module.exports = {
+  createJournal,
+  getStoreDir,
+  isStoreDirConfigured
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { logWarning } = require('./logger');
+
+const LOCK_TTL_MS = Number(process.env.LOCK_TTL_MS) || 60000;
+const LOCK_WAIT_TIMEOUT_MS = Number(process.env.LOCK_WAIT_TIMEOUT_MS) || 15000;
+
+/**
+ * In-process lock: callers of the same key run one after the other, in arrival order
+ * acquire() resolves to a release function, or null if the wait timed out
+ */
+function createMemoryLockBackend() {
+  const tails = new Map();
+
+  return {
+    name: 'memory',
+
+    async acquire(key, { waitTimeoutMs }) {
+      const previous = tails.get(key) || Promise.resolve();
+      let release;
+      const current = new Promise(resolve => { release = resolve; });
+      const tail = previous.then(() => current);
+      tails.set(key, tail);
+
+      let timer;
+      const timedOut = await Promise.race([
+        previous.then(() => false),
+        new Promise(resolve => { timer = setTimeout(() => resolve(true), waitTimeoutMs); })
+      ]);
+      clearTimeout(timer);
+
+      const releaseSlot = () => {
+        release();
+        if (tails.get(key) === tail) tails.delete(key);
+      };
+
+      if (timedOut) {
+        // Give our slot up, the next caller still waits for the current holder
+        releaseSlot();
+        return null;
+      }
+
+      return async () => releaseSlot();
+    }
+  };
+}
+
+// Delete the key only if we still own it (the TTL may have handed it to someone else)
+const REDIS_RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * Shared lock over the Redis REST API (Upstash compatible: POST the command as a JSON array)
+ * Keys expire after ttlMs so a crashed instance cannot hold a lock forever
+ */
+function createRedisLockBackend({ url, token, prefix = 'nubimed-ghl:lock:', retryDelayMs = 100 }) {
+  if (!url || !token) {
+    throw new Error('Redis lock backend requires a REST URL and token');
+  }
+
+  async function command(args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      const redisError = new Error(`Redis lock command ${args[0]} failed (${response.status})`);
+      redisError.status = response.status;
+      throw redisError;
+    }
+
+    const result = await response.json();
+    return result.result;
+  }
+
+  return {
+    name: 'redis',
+
+    async acquire(key, { ttlMs, waitTimeoutMs }) {
+      const redisKey = `${prefix}${key}`;
+      const owner = crypto.randomUUID();
+      const deadline = Date.now() + waitTimeoutMs;
+
+      while (true) {
+        const result = await command(['SET', redisKey, owner, 'NX', 'PX', String(ttlMs)]);
+        if (result === 'OK') {
+          return async () => {
+            await command(['EVAL', REDIS_RELEASE_SCRIPT, '1', redisKey, owner]);
+          };
+        }
+
+        if (Date.now() >= deadline) {
+          return null;
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+      }
+    }
+  };
+}
+
+/**
+ * Shared backend from env: LOCK_BACKEND=redis with LOCK_REDIS_REST_URL/LOCK_REDIS_REST_TOKEN
+ * (UPSTASH_REDIS_REST_URL/UPSTASH_REDIS_REST_TOKEN also work), otherwise none
+ */
+function createBackendFromEnv() {
+  if (process.env.LOCK_BACKEND !== 'redis') {
+    return null;
+  }
+
+  return createRedisLockBackend({
+    url: process.env.LOCK_REDIS_REST_URL || process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.LOCK_REDIS_REST_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN
+  });
+}
+
+const localBackend = createMemoryLockBackend();
+let sharedBackend = createBackendFromEnv();
+
+/**
+ * Plug in a shared lock backend for multi-instance deployments (null to run in-process only)
+ * A backend is { name, acquire(key, { ttlMs, waitTimeoutMs }) -> release function or null }
+ */
+function setLockBackend(backend) {
+  sharedBackend = backend;
+}
+
+function lockTimeoutError(key, backend) {
+  const error = new Error(`Timed out waiting for lock ${key} (${backend})`);
+  // Retryable: the holder finishes or its TTL expires
+  error.code = 'LOCK_TIMEOUT';
+  return error;
+}
+
+/**
+ * Run fn while holding the lock for key
+ * The in-process lock is always taken first, then the shared backend when one is configured
+ */
+async function withLock(key, fn, { ttlMs = LOCK_TTL_MS, waitTimeoutMs = LOCK_WAIT_TIMEOUT_MS } = {}) {
+  const releaseLocal = await localBackend.acquire(key, { ttlMs, waitTimeoutMs });
+  if (!releaseLocal) {
+    throw lockTimeoutError(key, localBackend.name);
+  }
+
+  const backend = sharedBackend;
+  let releaseShared = null;
+  try {
+    if (backend) {
+      releaseShared = await backend.acquire(key, { ttlMs, waitTimeoutMs });
+      if (!releaseShared) {
+        throw lockTimeoutError(key, backend.name);
+      }
+    }
+
+    return await fn();
+  } finally {
+    if (releaseShared) {
+      try {
+        await releaseShared();
+      } catch (releaseError) {
+        // The TTL frees it anyway
+        logWarning('LOCK_RELEASE_FAILED', { key, backend: backend.name, error: releaseError.message });
+      }
+    }
+    await releaseLocal();
+  }
+}
+
+module.exports = {
+  withLock,
+  setLockBackend,
+  createMemoryLockBackend,
+  createRedisLockBackend
+};
@@ -1,3 +1,5 @@
+const { getCorrelationId } = require('./request-context');
+
 const LOG_LEVELS = {
   INFO: 'INFO',
   ERROR: 'ERROR',
@@ -6,12 +8,20 @@ const LOG_LEVELS = {
 };
 
 function formatLog(level, event, data) {
-  return {
+  const log = {
     timestamp: new Date().toISOString(),
     level,
-    event,
-    data
+    event
   };
+
+  // Ties every line of one webhook (and its background sync) together
+  const correlationId = getCorrelationId();
+  if (correlationId) {
+    log.correlationId = correlationId;
+  }
+
+  log.data = data;
+  return log;
 }
 
 function logWebhook(event, data) {
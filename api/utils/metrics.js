@@ -0,0 +1,135 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4)
+ * Metrics live in process memory, each instance reports its own counts
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Label values in labelNames order (missing labels become "unknown"), used as series key
+ */
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) {
+    const value = labels[name];
+    picked[name] = value === undefined || value === null || value === '' ? 'unknown' : String(value);
+  }
+  return picked;
+}
+
+function register(metric) {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Monotonic counter: inc(labels, value = 1)
+ */
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  return register({
+    name,
+    inc(labels, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const current = series.get(key) || { labels: picked, value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/**
+ * Histogram with cumulative buckets: observe(labels, value)
+ */
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+
+  return register({
+    name,
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const current = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) current.counts[index] += 1;
+      });
+      current.sum += value;
+      current.count += 1;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/**
+ * Gauge read at scrape time: collect() returns a number or [{ labels, value }]
+ */
+function createGauge({ name, help, labelNames = [], collect }) {
+  return register({
+    name,
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      const collected = collect();
+      const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+      for (const { labels, value } of samples) {
+        lines.push(`${name}${formatLabels(pickLabels(labelNames, labels))} ${value}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/**
+ * All registered metrics in the Prometheus text format
+ */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  createCounter,
+  createHistogram,
+  createGauge,
+  renderMetrics,
+  CONTENT_TYPE
+};
@@ -0,0 +1,180 @@
+const { logError, logWarning } = require('./logger');
+
+// Network error codes worth retrying (connection resets, DNS hiccups, timeouts)
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_SOCKET'
+];
+
+/**
+ * Decide if an error is transient: GHL 429/5xx, a network failure or a lock wait timeout
+ * GHL errors carry the HTTP status in error.status
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  // Another worker/instance holds the booking lock
+  if (error.code === 'LOCK_TIMEOUT') {
+    return true;
+  }
+
+  if (typeof error.status === 'number') {
+    return error.status === 429 || error.status >= 500;
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (code && RETRYABLE_NETWORK_CODES.includes(code)) {
+    return true;
+  }
+
+  // fetch() rejects with TypeError("fetch failed") on network errors
+  return error.name === 'AbortError' ||
+    error.name === 'TimeoutError' ||
+    (error.name === 'TypeError' && /fetch failed/i.test(error.message));
+}
+
+/**
+ * Exponential backoff with jitter: random delay between 50% and 100% of base * 2^(attempt - 1)
+ */
+function computeBackoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Create an in-process job queue with a background worker
+ * handler(job) runs for every job; transient failures are retried with backoff
+ * onSuccess(job, result) / onFailure(job, error) are called when a job finishes for good
+ * onRetry(job, error, delayMs) is called when a failed attempt is scheduled again
+ * runInContext(job, fn) wraps every attempt, e.g. to restore the job's request context
+ * Job IDs are unique while queued: enqueueing an ID that is waiting, running or waiting for
+ * a retry returns the queued job instead of adding a second one
+ */
+function createQueue({
+  name,
+  handler,
+  onSuccess = () => {},
+  onFailure = () => {},
+  onRetry = () => {},
+  runInContext = (job, fn) => fn(),
+  concurrency = 1,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000
+}) {
+  const pending = [];
+  const delayed = new Set();
+  const queued = new Map();
+  let active = 0;
+
+  function drain() {
+    while (active < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      active += 1;
+      run(job).finally(() => {
+        active -= 1;
+        drain();
+      });
+    }
+  }
+
+  function run(job) {
+    return runInContext(job, () => attempt(job));
+  }
+
+  async function attempt(job) {
+    job.attempts += 1;
+
+    try {
+      const result = await handler(job);
+      queued.delete(job.id);
+      await onSuccess(job, result);
+    } catch (error) {
+      const retryable = isRetryableError(error);
+
+      if (retryable && job.attempts < maxAttempts) {
+        const delay = computeBackoffDelay(job.attempts, baseDelayMs, maxDelayMs);
+        logWarning('QUEUE_JOB_RETRY_SCHEDULED', {
+          queue: name,
+          jobId: job.id,
+          attempt: job.attempts,
+          maxAttempts,
+          delayMs: delay,
+          error: error.message,
+          status: error.status
+        });
+
+        onRetry(job, error, delay);
+
+        const timer = setTimeout(() => {
+          delayed.delete(timer);
+          pending.push(job);
+          drain();
+        }, delay);
+        delayed.add(timer);
+        return;
+      }
+
+      queued.delete(job.id);
+      logError('QUEUE_JOB_FAILED', {
+        queue: name,
+        jobId: job.id,
+        attempts: job.attempts,
+        retryable,
+        error: error.message,
+        status: error.status
+      });
+
+      try {
+        await onFailure(job, error);
+      } catch (failureError) {
+        logError('QUEUE_ON_FAILURE_ERROR', {
+          queue: name,
+          jobId: job.id,
+          error: failureError.message
+        });
+      }
+    }
+  }
+
+  return {
+    enqueue(id, data) {
+      if (queued.has(id)) {
+        logWarning('QUEUE_JOB_ALREADY_QUEUED', { queue: name, jobId: id });
+        return queued.get(id);
+      }
+
+      const job = { id, data, attempts: 0, enqueuedAt: new Date().toISOString() };
+      queued.set(id, job);
+      pending.push(job);
+      // Let the caller respond before the worker starts
+      setImmediate(drain);
+      return job;
+    },
+
+    isQueued(id) {
+      return queued.has(id);
+    },
+
+    getStats() {
+      return {
+        pending: pending.length,
+        active,
+        delayed: delayed.size
+      };
+    }
+  };
+}
+
+module.exports = {
+  createQueue,
+  isRetryableError,
+  computeBackoffDelay
+};
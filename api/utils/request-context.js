@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CORRELATION_HEADER = 'X-Correlation-ID';
+// Inbound IDs are echoed into logs and GHL headers, so only accept plain tokens
+const VALID_CORRELATION_ID = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn (and all async work it starts) with a correlation ID
+ */
+function runWithCorrelationId(correlationId, fn) {
+  return storage.run({ correlationId: correlationId || null }, fn);
+}
+
+/**
+ * Correlation ID of the current request or queued job, null outside of one
+ */
+function getCorrelationId() {
+  const store = storage.getStore();
+  return store ? store.correlationId : null;
+}
+
+/**
+ * Express middleware: take the correlation ID from X-Correlation-ID (or X-Request-ID),
+ * generate one otherwise, return it as a response header and keep it for the rest of the request
+ * Mount it after the body parsers, their stream callbacks would lose the async context
+ */
+function correlationId(req, res, next) {
+  const inbound = req.get(CORRELATION_HEADER) || req.get('X-Request-ID');
+  const id = inbound && VALID_CORRELATION_ID.test(inbound) ? inbound : crypto.randomUUID();
+
+  req.correlationId = id;
+  res.set(CORRELATION_HEADER, id);
+  runWithCorrelationId(id, next);
+}
+
+module.exports = {
+  correlationId,
+  runWithCorrelationId,
+  getCorrelationId,
+  CORRELATION_HEADER
+};
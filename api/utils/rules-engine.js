@@ -0,0 +1,210 @@
+/**
+ * Ordered filter rules: the first rule whose conditions all match decides, else the default
+ *
+ * Rule set: { rules: [rule], default: { reason, description, action } }
+ * Rule: { reason, description, when, action: "process" | "ignore" }
+ * Conditions in `when` (all must match):
+ *   eventName: { equals, contains, notContains } - lists, case-insensitive; never matches a nameless event
+ *   status: { in, type: "number" | "string", state } - state: semantic states (see services/booking-status)
+ *   hasStartAt, hasBookingData, startAtChanged: booleans
+ *   changes: { any, none } - legacy changes object: any listed change set / none of them set
+ */
+
+const ACTIONS = ['process', 'ignore'];
+const CONDITIONS = ['eventName', 'status', 'hasStartAt', 'hasBookingData', 'startAtChanged', 'changes'];
+const CONDITION_KEYS = {
+  eventName: ['equals', 'contains', 'notContains'],
+  status: ['in', 'type', 'state'],
+  changes: ['any', 'none']
+};
+const BOOLEAN_CONDITIONS = ['hasStartAt', 'hasBookingData', 'startAtChanged'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Problems with one rule's `when` block, as messages
+ */
+function checkConditions(when, label) {
+  const problems = [];
+
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    return [`${label}: "when" must be an object`];
+  }
+
+  for (const [name, condition] of Object.entries(when)) {
+    if (!CONDITIONS.includes(name)) {
+      problems.push(`${label}: unknown condition "${name}"`);
+      continue;
+    }
+
+    if (BOOLEAN_CONDITIONS.includes(name)) {
+      if (typeof condition !== 'boolean') problems.push(`${label}: "${name}" must be true or false`);
+      continue;
+    }
+
+    if (!condition || typeof condition !== 'object') {
+      problems.push(`${label}: "${name}" must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(condition)) {
+      if (!CONDITION_KEYS[name].includes(key)) {
+        problems.push(`${label}: unknown "${name}" option "${key}"`);
+      }
+    }
+
+    if (name === 'eventName' || name === 'changes') {
+      for (const key of CONDITION_KEYS[name]) {
+        if (condition[key] !== undefined && !isStringList(condition[key])) {
+          problems.push(`${label}: "${name}.${key}" must be a list of strings`);
+        }
+      }
+    }
+
+    if (name === 'status') {
+      if (condition.in !== undefined && !Array.isArray(condition.in)) {
+        problems.push(`${label}: "status.in" must be a list`);
+      }
+      if (condition.type !== undefined && !['number', 'string'].includes(condition.type)) {
+        problems.push(`${label}: "status.type" must be "number" or "string"`);
+      }
+      if (condition.state !== undefined && !isStringList(condition.state)) {
+        problems.push(`${label}: "status.state" must be a list of strings`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function checkOutcome(rule, label) {
+  const problems = [];
+  if (!rule || typeof rule.reason !== 'string' || !rule.reason) {
+    problems.push(`${label}: "reason" is required`);
+  }
+  if (!ACTIONS.includes(rule && rule.action)) {
+    problems.push(`${label}: "action" must be one of ${ACTIONS.join(', ')}`);
+  }
+  return problems;
+}
+
+/**
+ * Validate a rule set and prepare it for evaluateRules
+ * getState(status) maps a booking status to its semantic state for `status.state` conditions
+ * Throws one error listing every problem, so a bad config fails at startup and not per webhook
+ */
+function compileRules(config, { getState = () => null } = {}) {
+  const problems = [];
+
+  if (!config || !Array.isArray(config.rules)) {
+    throw new Error('Invalid filter rules: "rules" must be a list');
+  }
+
+  config.rules.forEach((rule, index) => {
+    const label = `rules[${index}]${rule && rule.reason ? ` (${rule.reason})` : ''}`;
+    problems.push(...checkOutcome(rule, label), ...checkConditions(rule && rule.when, label));
+  });
+
+  if (!config.default) {
+    problems.push('"default" is required');
+  } else {
+    problems.push(...checkOutcome(config.default, 'default'));
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid filter rules: ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return {
+    rules: config.rules,
+    defaultRule: config.default,
+    getState
+  };
+}
+
+function matchesEventName(condition, eventName) {
+  if (!eventName || typeof eventName !== 'string') return false;
+
+  const name = eventName.toLowerCase();
+  const lower = list => list.map(item => item.toLowerCase());
+
+  if (condition.equals && !lower(condition.equals).includes(name)) return false;
+  if (condition.contains && !lower(condition.contains).some(part => name.includes(part))) return false;
+  if (condition.notContains && lower(condition.notContains).some(part => name.includes(part))) return false;
+  return true;
+}
+
+function matchesStatus(ruleSet, condition, status) {
+  if (condition.type && typeof status !== condition.type) return false;
+  if (condition.in && !condition.in.includes(status)) return false;
+  if (condition.state && !condition.state.includes(ruleSet.getState(status))) return false;
+  return true;
+}
+
+function matchesChanges(condition, changes) {
+  if (!changes) return false;
+  if (condition.any && !condition.any.some(field => changes[field])) return false;
+  if (condition.none && condition.none.some(field => changes[field])) return false;
+  return true;
+}
+
+/**
+ * Facts about a canonical event the conditions look at
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function getFacts(event) {
+  const booking = event.booking || {};
+  return {
+    eventName: event.type || null,
+    status: booking.status === undefined ? null : booking.status,
+    statusState: null,
+    startAt: booking.startAt || null,
+    previousStartAt: booking.previousStartAt || null,
+    hasStartAt: Boolean(booking.startAt),
+    hasBookingData: Boolean(booking.id || booking.startAt),
+    startAtChanged: Boolean(booking.previousStartAt && booking.startAt && booking.previousStartAt !== booking.startAt),
+    changes: event.changes || null
+  };
+}
+
+function matchesRule(ruleSet, when, facts) {
+  return Object.entries(when).every(([name, condition]) => {
+    switch (name) {
+      case 'eventName': return matchesEventName(condition, facts.eventName);
+      case 'status': return matchesStatus(ruleSet, condition, facts.status);
+      case 'changes': return matchesChanges(condition, facts.changes);
+      default: return facts[name] === condition;
+    }
+  });
+}
+
+/**
+ * Run an event through a compiled rule set
+ * Returns { action, reason, description, ruleIndex, facts } (ruleIndex null when the default applied)
+ * @param {ReturnType<typeof compileRules>} ruleSet
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function evaluateRules(ruleSet, event) {
+  const facts = getFacts(event);
+  facts.statusState = ruleSet.getState(facts.status);
+  const ruleIndex = ruleSet.rules.findIndex(rule => matchesRule(ruleSet, rule.when, facts));
+  const rule = ruleIndex === -1 ? ruleSet.defaultRule : ruleSet.rules[ruleIndex];
+
+  return {
+    action: rule.action,
+    reason: rule.reason,
+    description: rule.description || null,
+    ruleIndex: ruleIndex === -1 ? null : ruleIndex,
+    facts
+  };
+}
+
+module.exports = {
+  compileRules,
+  evaluateRules,
+  getFacts
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { logError, logWarning } = require('./logger');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Supported signature schemes
+ * Every scheme signs `${timestamp}.${rawBody}` with HMAC-SHA256 (hex digest),
+ * they only differ in the headers used to transport signature and timestamp
+ * Secrets are comma-separated so several can be active during a rotation
+ */
+const SIGNATURE_SCHEMES = {
+  // Direct Nubimed callbacks: single header "t=<unix seconds>,v1=<hex>[,v1=<hex>]"
+  nubimed: {
+    secretsEnv: 'NUBIMED_WEBHOOK_SECRETS',
+    parseHeaders(headers) {
+      const header = headers['x-nubimed-signature'];
+      if (!header) return null;
+
+      let timestamp = null;
+      const signatures = [];
+      String(header).split(',').forEach(part => {
+        const [key, value] = part.split('=').map(item => item && item.trim());
+        if (key === 't') timestamp = value;
+        if (key === 'v1' && value) signatures.push(value);
+      });
+
+      return { timestamp, signatures };
+    }
+  },
+  // Make.com scenarios: "X-Make-Signature: sha256=<hex>" + "X-Make-Timestamp: <unix seconds>"
+  make: {
+    secretsEnv: 'MAKE_WEBHOOK_SECRETS',
+    parseHeaders(headers) {
+      const header = headers['x-make-signature'];
+      if (!header) return null;
+
+      const signature = String(header).trim().replace(/^sha256=/i, '');
+      return {
+        timestamp: headers['x-make-timestamp'] || null,
+        signatures: signature ? [signature] : []
+      };
+    }
+  }
+};
+
+/**
+ * Read active secrets for a scheme from its environment variable
+ */
+function getSchemeSecrets(schemeName) {
+  const scheme = SIGNATURE_SCHEMES[schemeName];
+  if (!scheme) return [];
+
+  return (process.env[scheme.secretsEnv] || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(secret => secret.length > 0);
+}
+
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+function safeCompare(expected, received) {
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(String(received).toLowerCase(), 'utf8');
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Parse timestamp header (unix seconds, unix milliseconds or ISO string) to seconds
+ */
+function parseTimestamp(timestamp) {
+  if (timestamp === null || timestamp === undefined || timestamp === '') return null;
+
+  if (/^\d+$/.test(String(timestamp))) {
+    const value = Number(timestamp);
+    // Values above 1e12 are milliseconds
+    return value > 1e12 ? Math.floor(value / 1000) : value;
+  }
+
+  const parsed = Date.parse(timestamp);
+  return isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+/**
+ * Verify request signature against the given schemes
+ * Returns { valid: true, scheme } or { valid: false, reason, message }
+ */
+function verifyRequestSignature(headers, rawBody, schemeNames, now = Date.now()) {
+  const tolerance = Number(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  const body = rawBody || Buffer.alloc(0);
+
+  for (const schemeName of schemeNames) {
+    const scheme = SIGNATURE_SCHEMES[schemeName];
+    if (!scheme) continue;
+
+    const parsed = scheme.parseHeaders(headers);
+    if (!parsed) continue; // Caller didn't use this scheme, try the next one
+
+    const secrets = getSchemeSecrets(schemeName);
+    if (secrets.length === 0) {
+      return {
+        valid: false,
+        scheme: schemeName,
+        reason: 'NO_SECRETS_CONFIGURED',
+        message: 'Webhook signature cannot be verified'
+      };
+    }
+
+    const timestampSeconds = parseTimestamp(parsed.timestamp);
+    if (timestampSeconds === null) {
+      return {
+        valid: false,
+        scheme: schemeName,
+        reason: 'MISSING_TIMESTAMP',
+        message: 'Webhook signature timestamp is missing or invalid'
+      };
+    }
+
+    if (Math.abs(Math.floor(now / 1000) - timestampSeconds) > tolerance) {
+      return {
+        valid: false,
+        scheme: schemeName,
+        reason: 'TIMESTAMP_OUT_OF_TOLERANCE',
+        message: 'Webhook signature timestamp is too old or in the future'
+      };
+    }
+
+    const matches = secrets.some(secret => {
+      const expected = computeSignature(secret, parsed.timestamp, body);
+      return parsed.signatures.some(signature => safeCompare(expected, signature));
+    });
+
+    if (!matches) {
+      return {
+        valid: false,
+        scheme: schemeName,
+        reason: 'SIGNATURE_MISMATCH',
+        message: 'Invalid webhook signature'
+      };
+    }
+
+    return { valid: true, scheme: schemeName };
+  }
+
+  return {
+    valid: false,
+    reason: 'MISSING_SIGNATURE',
+    message: 'Missing webhook signature'
+  };
+}
+
+/**
+ * Express middleware factory: require a valid signature for one of the given schemes
+ * `schemes` can be a scheme name, a comma-separated list or an array
+ * Requires req.rawBody to be captured by the body parsers
+ */
+function verifySignature(schemes) {
+  const schemeNames = (Array.isArray(schemes) ? schemes : String(schemes).split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0);
+
+  const unknownSchemes = schemeNames.filter(name => !SIGNATURE_SCHEMES[name]);
+  if (unknownSchemes.length > 0) {
+    throw new Error(`Unknown webhook signature scheme(s): ${unknownSchemes.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    // Local development escape hatch, never honored outside development
+    if (process.env.WEBHOOK_SIGNATURE_DISABLED === 'true' && process.env.NODE_ENV === 'development') {
+      logWarning('SIGNATURE_VERIFICATION_DISABLED', { path: req.path });
+      return next();
+    }
+
+    const verification = verifyRequestSignature(req.headers, req.rawBody, schemeNames);
+
+    if (!verification.valid) {
+      const log = verification.reason === 'NO_SECRETS_CONFIGURED' ? logError : logWarning;
+      log('SIGNATURE_VERIFICATION_FAILED', {
+        path: req.path,
+        reason: verification.reason,
+        scheme: verification.scheme,
+        acceptedSchemes: schemeNames,
+        ip: req.ip
+      });
+
+      return res.status(401).json({
+        status: 'error',
+        message: verification.message,
+        reason: verification.reason
+      });
+    }
+
+    req.signatureScheme = verification.scheme;
+    next();
+  };
+}
+
+module.exports = {
+  verifySignature,
+  verifyRequestSignature,
+  computeSignature,
+  SIGNATURE_SCHEMES
+};
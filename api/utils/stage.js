@@ -0,0 +1,16 @@
+/**
+ * Run a pipeline stage, tagging any error with the stage name
+ * The stage ends up in the dead-letter entry so admins know what to replay
+ */
+async function runStage(stage, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    error.stage = error.stage || stage;
+    throw error;
+  }
+}
+
+module.exports = {
+  runStage
+};
@@ -0,0 +1,181 @@
+const Ajv = require('ajv');
+const { getPrimaryPatient } = require('../models/nubimed-event');
+const { lookupCountryCode } = require('../services/ghl-service');
+
+// strictTuples off: only the first patient is checked for contact info (open-ended tuple)
+const ajv = new Ajv({ allErrors: true, verbose: true, strictTuples: false });
+
+// Any string `new Date()` understands (Nubimed sends ISO 8601 with offset)
+ajv.addFormat('parseable-date', value => !isNaN(new Date(value).getTime()));
+
+// Annotations used to turn anyOf failures into a single readable problem
+ajv.addKeyword({ keyword: 'problemCode', schemaType: 'string' });
+ajv.addKeyword({ keyword: 'problemField', schemaType: 'string' });
+ajv.addKeyword({ keyword: 'problemMessage', schemaType: 'string' });
+
+// Schemas referenced by the handler schemas ($ref by $id), registered once
+ajv.addSchema(require('../schemas/contact-info.json'));
+
+const SCHEMAS = {
+  'booking-upsert': require('../schemas/booking-upsert.json'),
+  'booking-delete': require('../schemas/booking-delete.json'),
+  'booking-completed': require('../schemas/booking-completed.json'),
+  'invoice': require('../schemas/invoice.json'),
+  'budget': require('../schemas/budget.json'),
+  'treatment-completed': require('../schemas/treatment-completed.json'),
+  'patient-upsert': require('../schemas/patient-upsert.json')
+};
+
+const validators = {};
+
+// Nubimed field names for canonical fields, used in error messages
+const SOURCE_FIELD_NAMES = {
+  'booking': 'booking',
+  'booking.id': 'booking id',
+  'booking.startAt': 'start_at',
+  'booking.endAt': 'end_at',
+  'booking.previousStartAt': 'previous_start_at',
+  'contactId': 'contact_id',
+  'invoice': 'invoice',
+  'invoice.id': 'invoice id',
+  'invoice.amount': 'invoice total',
+  'budget': 'budget',
+  'budget.id': 'budget id',
+  'budget.amount': 'budget total',
+  'treatment': 'treatment',
+  'treatment.id': 'treatment id',
+  'treatment.completedAt': 'completed_at',
+  'timestamps.deliveredAt': 'timestamp'
+};
+
+function getValidator(schemaName) {
+  if (!SCHEMAS[schemaName]) {
+    throw new Error(`Unknown validation schema: ${schemaName}`);
+  }
+  if (!validators[schemaName]) {
+    validators[schemaName] = ajv.compile(SCHEMAS[schemaName]);
+  }
+  return validators[schemaName];
+}
+
+/**
+ * "/booking/startAt" -> "booking.startAt"
+ */
+function toFieldPath(instancePath, property) {
+  const parts = instancePath.split('/').filter(Boolean);
+  if (property) parts.push(property);
+  return parts.join('.');
+}
+
+function describeField(field) {
+  return SOURCE_FIELD_NAMES[field] || field.replace(/^patients\.\d+\./, 'patient ');
+}
+
+/**
+ * Convert ajv errors into field-level problems: { field, code, message }
+ */
+function toProblems(errors) {
+  // Branch errors of a failed anyOf are noise, the anyOf itself carries the message
+  const anyOfPaths = errors
+    .filter(error => error.keyword === 'anyOf')
+    .map(error => error.schemaPath);
+  // A failed if/then is reported by the failing keywords of the then branch
+  const relevant = errors.filter(error =>
+    error.keyword !== 'if' &&
+    !anyOfPaths.some(path => error.schemaPath.startsWith(`${path}/`))
+  );
+
+  const problems = relevant.map(error => {
+    if (error.keyword === 'anyOf') {
+      const schema = error.parentSchema || {};
+      return {
+        field: schema.problemField || toFieldPath(error.instancePath),
+        code: schema.problemCode || 'invalid_value',
+        message: schema.problemMessage || error.message
+      };
+    }
+
+    if (error.keyword === 'required') {
+      const field = toFieldPath(error.instancePath, error.params.missingProperty);
+      return { field, code: 'missing_field', message: `${describeField(field)} is required` };
+    }
+
+    const field = toFieldPath(error.instancePath);
+
+    if (error.keyword === 'format') {
+      return { field, code: 'invalid_date', message: `${describeField(field)} is not a valid date (${error.data})` };
+    }
+
+    if (error.keyword === 'type' && (error.data === null || error.data === undefined)) {
+      return { field, code: 'missing_field', message: `${describeField(field)} is required` };
+    }
+
+    if (error.keyword === 'minLength') {
+      return { field, code: 'missing_field', message: `${describeField(field)} is required` };
+    }
+
+    return { field, code: `invalid_${error.keyword}`, message: `${describeField(field)} ${error.message}` };
+  });
+
+  // Same field can fail several keywords, report it once. Keep the last one: an anyOf is
+  // reported after the anyOf of a schema it references, and carries the fuller message
+  return problems.filter((problem, index) =>
+    problems.findLastIndex(other => other.field === problem.field && other.code === problem.code) === index
+  );
+}
+
+/**
+ * Non-blocking issues: the event syncs, but with defaults the caller should know about
+ * @param {import('../models/nubimed-event').NubimedEvent} event
+ */
+function collectWarnings(event) {
+  const warnings = [];
+  const patient = getPrimaryPatient(event);
+  const booking = event.booking;
+
+  if (patient && patient.country && !lookupCountryCode(patient.country)) {
+    warnings.push({
+      field: 'patients.0.country',
+      code: 'country_not_mapped',
+      message: `Country "${patient.country}" is not mapped to an ISO code, defaulting to ES`
+    });
+  }
+
+  if (booking && booking.startAt && !booking.endAt) {
+    warnings.push({
+      field: 'booking.endAt',
+      code: 'end_at_missing',
+      message: 'end_at is missing, appointment will last 30 minutes'
+    });
+  }
+
+  if (booking && !booking.id) {
+    warnings.push({
+      field: 'booking.id',
+      code: 'booking_id_missing',
+      message: 'Booking ID is missing, only the contact will be synced (no calendar appointment)'
+    });
+  }
+
+  return warnings;
+}
+
+/**
+ * Validate a canonical event against a schema
+ * @returns {{ valid: boolean, errors: Array, warnings: Array }}
+ */
+function validateEvent(event, schemaName) {
+  const validate = getValidator(schemaName);
+  const valid = validate(event);
+
+  return {
+    valid,
+    errors: valid ? [] : toProblems(validate.errors || []),
+    warnings: collectWarnings(event)
+  };
+}
+
+module.exports = {
+  validateEvent,
+  collectWarnings
+};
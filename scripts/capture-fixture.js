@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Turn stored webhook events into regression fixtures (fixtures/payloads/<name>.json)
+ * The raw payload is read from the event store (EVENT_STORE_DIR), patient data is scrubbed
+ * (see lib/scrub-pii) and the current filter/extractor results and handler plan are recorded
+ * as expected
+ *
+ * Usage: npm run fixtures:capture -- <eventId...> [--booking <bookingId>] [--name <name>]
+ *                                    [--description <text>] [--force]
+ *   --booking  capture every stored event of a Nubimed booking
+ *   --name     fixture name (one event only), defaults to <event name>-<booking ID>
+ *   --force    overwrite an existing fixture
+ *
+ * Review the written file before committing it: scrubbing is by field name, free text
+ * under unexpected keys is kept as is
+ */
+const fs = require('fs');
+const { getEvent, listEvents } = require('../api/services/event-store');
+const { evaluateFixture, writeFixture, fixturePath } = require('./lib/fixtures');
+const { scrubPii } = require('./lib/scrub-pii');
+
+const FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+function print(line = '') {
+  process.stdout.write(`${line}\n`);
+}
+
+function parseArgs(argv) {
+  const options = { eventIds: [], force: false };
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === '--force') options.force = true;
+    else if (arg === '--booking') options.bookingId = argv[++index];
+    else if (arg === '--name') options.name = argv[++index];
+    else if (arg === '--description') options.description = argv[++index];
+    else options.eventIds.push(arg);
+  }
+  return options;
+}
+
+/**
+ * Body as it was delivered: Make form events are stored unwrapped, re-wrap them
+ * so the replay goes through the form adapter again
+ */
+function toDeliveredPayload(event) {
+  if (event.source !== 'make_form') {
+    return { contentType: 'application/json', payload: event.raw };
+  }
+
+  const { data, ...fields } = event.raw;
+  return {
+    contentType: FORM_CONTENT_TYPE,
+    payload: data === undefined ? fields : { ...fields, data: JSON.stringify(data) }
+  };
+}
+
+function defaultName(record) {
+  const name = `${record.eventName || 'event'}-${record.bookingId || record.id.slice(0, 8)}`;
+  return name.toLowerCase().replace(/[^a-z0-9_.-]+/g, '_');
+}
+
+/**
+ * Build the fixture for a stored event record
+ */
+function captureRecord(record, options) {
+  const { contentType, payload } = toDeliveredPayload(record.event);
+  const fixture = {
+    name: options.name || defaultName(record),
+    description: options.description || `Captured from event ${record.id} (${record.eventName || 'unnamed'}, received ${record.receivedAt})`,
+    contentType,
+    payload: scrubPii(payload)
+  };
+
+  // Deliveries without an event name took it from the route (e.g. /nubimed/deleted)
+  if (record.event.type && !payload.name && !payload.event_type && !payload.event && !payload.action) {
+    fixture.defaultType = record.event.type;
+  }
+
+  fixture.expected = evaluateFixture(fixture);
+  return fixture;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const records = options.eventIds.map(eventId => {
+    const record = getEvent(eventId);
+    if (!record) {
+      throw new Error(`Event ${eventId} not found in the event store`);
+    }
+    return record;
+  });
+  if (options.bookingId) {
+    records.push(...listEvents({ bookingId: options.bookingId }).reverse());
+  }
+
+  if (records.length === 0) {
+    print('Usage: npm run fixtures:capture -- <eventId...> [--booking <bookingId>] [--name <name>] [--description <text>] [--force]');
+    return 1;
+  }
+  if (options.name && records.length > 1) {
+    throw new Error('--name can only be used when capturing a single event');
+  }
+
+  for (const record of records) {
+    if (!record.event || !record.event.raw) {
+      print(`  skip ${record.id}: no raw payload stored`);
+      continue;
+    }
+
+    const fixture = captureRecord(record, options);
+    if (fs.existsSync(fixturePath(fixture.name)) && !options.force) {
+      print(`  skip ${fixture.name}: fixture exists (use --force to overwrite)`);
+      continue;
+    }
+
+    writeFixture(fixture);
+    print(`  wrote ${fixturePath(fixture.name)}`);
+  }
+
+  return 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (captureError) {
+  process.stderr.write(`${captureError.message}\n`);
+  process.exitCode = 1;
+}
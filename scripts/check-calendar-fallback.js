@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Check how createOrUpdateAppointment handles GHL answers to the update of a mapped
+ * appointment: only a 404 falls back to creating it, rate limits, server errors and
+ * network failures are thrown for the sync queue to retry (creating then would book twice)
+ *
+ * GHL is not called: fetch is replaced with scripted responses per request
+ *
+ * Usage: npm run check:calendar-fallback -- [--verbose]
+ *   --verbose  keep the pipeline's own log lines
+ * Exits with 1 when a scenario does not behave as described
+ */
+const assert = require('assert');
+
+const verbose = process.argv.slice(2).includes('--verbose');
+
+const FIXTURE_NAME = 'nubimed-new_booking-confirmed';
+const EXISTING_APPOINTMENT_ID = 'fixture-appointment';
+const APPOINTMENT_PATH = `/calendars/events/appointments/${EXISTING_APPOINTMENT_ID}`;
+
+function print(line = '') {
+  process.stdout.write(`${line}\n`);
+}
+
+function json(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * GHL answers for one scenario; the mapped appointment always reads back with other data,
+ * so the update is never skipped as unchanged
+ */
+function scriptedGhl(updateResponse) {
+  return {
+    [`GET ${APPOINTMENT_PATH}`]: () => json(200, { appointment: { id: EXISTING_APPOINTMENT_ID, startTime: '2000-01-01T00:00:00Z' } }),
+    [`PUT ${APPOINTMENT_PATH}`]: updateResponse,
+    'POST /calendars/events/appointments': () => json(201, { id: 'fixture-created-appointment' })
+  };
+}
+
+const scenarios = [
+  {
+    name: 'update accepted, nothing is created',
+    ghl: scriptedGhl(() => json(200, { id: EXISTING_APPOINTMENT_ID })),
+    calls: ['GET', 'PUT'],
+    result: { action: 'updated', appointmentId: EXISTING_APPOINTMENT_ID }
+  },
+  {
+    name: 'mapped appointment gone (404), created instead',
+    ghl: scriptedGhl(() => json(404, { message: 'Appointment not found' })),
+    calls: ['GET', 'PUT', 'POST'],
+    result: { action: 'updated_via_create', appointmentId: 'fixture-created-appointment' }
+  },
+  {
+    name: 'rate limited (429), thrown for a retry',
+    ghl: scriptedGhl(() => json(429, { message: 'Too many requests' })),
+    calls: ['GET', 'PUT'],
+    error: { status: 429 }
+  },
+  {
+    name: 'GHL unavailable (503), thrown for a retry',
+    ghl: scriptedGhl(() => json(503, { message: 'Service unavailable' })),
+    calls: ['GET', 'PUT'],
+    error: { status: 503 }
+  },
+  {
+    name: 'network failure, thrown for a retry',
+    ghl: scriptedGhl(() => { throw new TypeError('fetch failed'); }),
+    calls: ['GET', 'PUT'],
+    error: { name: 'TypeError' }
+  }
+];
+
+/**
+ * Run a scenario against a fetch that answers from its script (unscripted requests get a 404)
+ * @returns {Promise<{ calls: string[], result?: Object, error?: Error }>}
+ */
+async function runScenario(scenario, { tenant, event }) {
+  const { createOrUpdateAppointment } = require('../api/services/calendar-service');
+  const calls = [];
+  const realFetch = global.fetch;
+
+  global.fetch = async (url, { method = 'GET' } = {}) => {
+    const path = new URL(url).pathname;
+    calls.push(method);
+    const respond = scenario.ghl[`${method} ${path}`];
+    return respond ? respond() : json(404, { message: 'Not scripted' });
+  };
+
+  try {
+    const result = await createOrUpdateAppointment(tenant, event, '{contactId}', EXISTING_APPOINTMENT_ID);
+    return { calls, result };
+  } catch (error) {
+    return { calls, error };
+  } finally {
+    global.fetch = realFetch;
+  }
+}
+
+function checkOutcome(scenario, outcome) {
+  assert.deepStrictEqual(outcome.calls, scenario.calls, `GHL calls ${outcome.calls.join(', ')}`);
+
+  if (scenario.error) {
+    assert.ok(outcome.error, `no error thrown, got ${JSON.stringify(outcome.result)}`);
+    for (const [key, value] of Object.entries(scenario.error)) {
+      assert.strictEqual(outcome.error[key], value, `error ${key} ${outcome.error[key]}`);
+    }
+    return;
+  }
+
+  assert.ifError(outcome.error);
+  for (const [key, value] of Object.entries(scenario.result)) {
+    assert.strictEqual(outcome.result[key], value, `result ${key} ${outcome.result[key]}`);
+  }
+}
+
+/**
+ * Run with the pipeline's console logging muted (every GHL call is logged)
+ */
+async function quietly(fn) {
+  if (verbose) return fn();
+
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+async function main() {
+  const context = await quietly(() => {
+    const { normalizeNubimedEvent } = require('../api/adapters');
+    const { loadFixtures, FIXTURE_TENANT } = require('./lib/fixtures');
+    const fixture = loadFixtures().find(candidate => candidate.name === FIXTURE_NAME);
+    const event = normalizeNubimedEvent(fixture.payload, { contentType: fixture.contentType });
+    return { tenant: FIXTURE_TENANT, event };
+  });
+
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    const outcome = await quietly(() => runScenario(scenario, context));
+    try {
+      checkOutcome(scenario, outcome);
+      print(`  ok   ${scenario.name}`);
+    } catch (checkError) {
+      failed++;
+      print(`  FAIL ${scenario.name}: ${checkError.message}`);
+    }
+  }
+
+  print();
+  print(`${scenarios.length} scenarios, ${failed} failed`);
+  return failed > 0 ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
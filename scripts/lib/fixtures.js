@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeNubimedEvent } = require('../../api/adapters');
+const { evaluateWebhookFilter, shouldProcessWebhook } = require('../../api/utils/filter');
+const { extractPatientData } = require('../../api/services/ghl-service');
+const { extractAppointmentData, buildAppointmentPayload } = require('../../api/services/calendar-service');
+const { planEvent } = require('../../api/services/event-router');
+const { DEFAULT_CUSTOM_FIELDS } = require('../../api/services/tenant-registry');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'payloads');
+
+// Fixed so replays do not depend on the clock
+const FIXTURE_RECEIVED_AT = '2026-01-01T00:00:00.000Z';
+const FIXTURE_CONTACT_ID = '{contactId}';
+
+/**
+ * Tenant the appointment payloads and handler plans are built for, independent of the local
+ * TENANTS_CONFIG/GHL_* env. Optional features are configured so the plans cover them too
+ * @type {import('../../api/services/tenant-registry').Tenant}
+ */
+const FIXTURE_TENANT = {
+  id: 'fixtures',
+  centers: [],
+  ghl: {
+    apiBase: 'https://ghl.invalid',
+    apiToken: 'fixture-token',
+    locationId: 'fixture-location',
+    calendarId: 'fixture-calendar',
+    assignedUserId: 'fixture-user',
+    doctorCalendars: { 7: 'fixture-calendar-doctor-7' },
+    budgetPipeline: {
+      pipelineId: 'fixture-pipeline',
+      stages: { pending: 'fixture-stage-pending', accepted: 'fixture-stage-accepted', rejected: 'fixture-stage-rejected' }
+    }
+  },
+  customFields: {
+    ...DEFAULT_CUSTOM_FIELDS,
+    controlTreatment: 'fixture-control-treatment',
+    lifetimeBilledValue: 'fixture-lifetime-billed',
+    nubimedPatientId: 'fixture-patient-id'
+  },
+  timezone: 'Europe/Madrid'
+};
+
+// Handlers resolve their tenant from the registry, which loads lazily from this config
+process.env.TENANTS_CONFIG = JSON.stringify({ tenants: [FIXTURE_TENANT] });
+
+/**
+ * @typedef {Object} Fixture
+ * @property {string} name - File name without .json
+ * @property {string} description
+ * @property {string} contentType - Content-Type the payload was delivered with
+ * @property {string} [defaultType] - Event type the route supplied (e.g. the /deleted route)
+ * @property {Object} payload - Anonymized body as received
+ * @property {Object} expected - Result of evaluateFixture when the fixture was recorded
+ */
+
+/**
+ * Dry-run plan of the handler the event routes to (validation included), as of the receive time
+ * Journals are keyed by tenant, so no local sync state of a real tenant leaks into the plans
+ */
+function planFixtureEvent(event) {
+  try {
+    const { handler, decision, reason, errors, plan } = planEvent(
+      { ...event, tenantId: FIXTURE_TENANT.id },
+      { now: new Date(FIXTURE_RECEIVED_AT) }
+    );
+    return { handler, decision, reason, errors, plan };
+  } catch (planError) {
+    return { error: planError.message };
+  }
+}
+
+/**
+ * Run a fixture payload through the adapters, the webhook filter, the extractors and the
+ * handler's dry-run plan
+ * Errors are part of the result: a payload that stops building is a change too
+ * @param {Fixture} fixture
+ */
+function evaluateFixture(fixture) {
+  const event = normalizeNubimedEvent(fixture.payload, {
+    contentType: fixture.contentType,
+    receivedAt: FIXTURE_RECEIVED_AT,
+    defaultType: fixture.defaultType
+  });
+
+  const decision = evaluateWebhookFilter(event);
+  const appointmentData = extractAppointmentData(event);
+
+  let appointmentPayload;
+  try {
+    appointmentPayload = buildAppointmentPayload(FIXTURE_TENANT, appointmentData, FIXTURE_CONTACT_ID);
+  } catch (buildError) {
+    appointmentPayload = { error: buildError.message };
+  }
+
+  return {
+    filter: {
+      process: shouldProcessWebhook(event),
+      reasonCode: decision.reasonCode
+    },
+    patientData: extractPatientData(event, FIXTURE_TENANT.timezone),
+    appointmentData,
+    appointmentPayload,
+    dryRun: planFixtureEvent(event)
+  };
+}
+
+/**
+ * Flatten nested values to { "a.b[0]": value } for field-level diffs
+ */
+function flatten(value, prefix = '', result = {}) {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, result));
+  } else if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+    for (const [key, item] of Object.entries(value)) {
+      flatten(item, prefix ? `${prefix}.${key}` : key, result);
+    }
+  } else {
+    result[prefix] = value;
+  }
+  return result;
+}
+
+/**
+ * Field-level differences between two results
+ * @returns {{ path: string, expected: *, actual: * }[]}
+ */
+function diffResults(expected, actual) {
+  const before = flatten(expected);
+  const after = flatten(actual);
+  const paths = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+
+  return paths
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => ({ path: key, expected: before[key], actual: after[key] }));
+}
+
+/**
+ * @returns {Fixture[]} sorted by name
+ */
+function loadFixtures(dir = FIXTURES_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({
+      ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')),
+      name: path.basename(file, '.json')
+    }));
+}
+
+function fixturePath(name, dir = FIXTURES_DIR) {
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * @param {Fixture} fixture
+ */
+function writeFixture(fixture, dir = FIXTURES_DIR) {
+  const { name, ...content } = fixture;
+  fs.writeFileSync(fixturePath(name, dir), `${JSON.stringify(content, null, 2)}\n`);
+}
+
+module.exports = {
+  evaluateFixture,
+  diffResults,
+  loadFixtures,
+  writeFixture,
+  fixturePath,
+  FIXTURES_DIR,
+  FIXTURE_TENANT
+};
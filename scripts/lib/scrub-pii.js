@@ -0,0 +1,89 @@
+/**
+ * Replace patient personal data in a raw Nubimed/Make payload with fixed placeholders
+ * Keys are matched by name at any depth; IDs, dates, statuses and event names are kept
+ * because the filter and the extractors decide on them
+ * JSON strings (the Make form "data" field) are scrubbed too
+ */
+
+// Person objects: their "name"/"surname" are personal, elsewhere "name" is the event or center name
+const PERSON_KEYS = ['patient', 'patients', 'doctor'];
+
+const SCRUBBERS = [
+  { keys: ['patient_name', 'firstName', 'first_name'], scrub: () => 'Nombre' },
+  { keys: ['patient_lastName', 'lastName', 'last_name', 'surname'], scrub: () => 'Apellido' },
+  { keys: ['email', 'patient_email'], scrub: () => 'paciente@example.com' },
+  { keys: ['phone', 'patient_phone', 'mobile', 'mobile_phone', 'telefono', 'movil'], scrub: scrubPhone },
+  { keys: ['nin', 'dni', 'nif', 'rut'], scrub: () => '00000000T' },
+  { keys: ['birth_date', 'birthDate', 'fecha_nacimiento'], scrub: scrubDate },
+  { keys: ['address', 'direccion'], scrub: () => 'Calle Ejemplo 1' },
+  { keys: ['postal_code', 'postalCode', 'codigo_postal'], scrub: () => '28001' },
+  { keys: ['city', 'ciudad'], scrub: () => 'Madrid' },
+  { keys: ['province', 'provincia'], scrub: () => 'Madrid' },
+  { keys: ['comment', 'notes', 'observations', 'observaciones'], scrub: () => 'Comentario' }
+];
+
+/**
+ * Keep the separators and the first three digits (country code/prefix), zero the rest
+ */
+function scrubPhone(phone) {
+  let digits = 0;
+  return String(phone).replace(/\d/g, digit => (++digits <= 3 ? digit : '0'));
+}
+
+/**
+ * Same format, fixed day: 1980-01-01 (time part, if any, kept)
+ */
+function scrubDate(date) {
+  return String(date).replace(/^\d{4}-\d{2}-\d{2}/, '1980-01-01').replace(/^\d{2}\/\d{2}\/\d{4}/, '01/01/1980');
+}
+
+function findScrubber(key, inPerson) {
+  if (inPerson && key === 'name') {
+    return () => 'Nombre';
+  }
+  const scrubber = SCRUBBERS.find(candidate => candidate.keys.includes(key));
+  return scrubber ? scrubber.scrub : null;
+}
+
+function parseJsonString(value) {
+  if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return null;
+  try {
+    return JSON.parse(value);
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * @param {*} value - Raw payload
+ * @returns {*} Scrubbed copy
+ */
+function scrubPii(value, inPerson = false) {
+  if (Array.isArray(value)) {
+    return value.map(item => scrubPii(item, inPerson));
+  }
+
+  const embedded = parseJsonString(value);
+  if (embedded !== null) {
+    return JSON.stringify(scrubPii(embedded, inPerson));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const scrub = findScrubber(key, inPerson);
+    if (scrub && item !== null && item !== undefined && item !== '' && typeof item !== 'object') {
+      result[key] = scrub(item);
+    } else {
+      result[key] = scrubPii(item, inPerson || PERSON_KEYS.includes(key));
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  scrubPii
+};
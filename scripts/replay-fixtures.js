@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Replay the recorded payloads in fixtures/payloads through the webhook filter
+ * (shouldProcessWebhook), extractPatientData, extractAppointmentData and the handler's
+ * dry-run plan, and print every decision or field that differs from the recorded result
+ *
+ * Usage: npm run fixtures:replay -- [--update] [--verbose] [fixture names...]
+ *   --update   rewrite the expected results of changed fixtures (after reviewing the diff)
+ *   --verbose  keep the pipeline's own log lines
+ *
+ * FILTER_RULES(_FILE) and BOOKING_STATUS_CATALOG(_FILE) apply as in the server,
+ * so a rules change can be checked against the corpus before it is deployed
+ * Exits with 1 when anything changed (and --update was not given)
+ */
+const args = process.argv.slice(2);
+const update = args.includes('--update');
+const verbose = args.includes('--verbose');
+const only = args.filter(arg => !arg.startsWith('--'));
+
+function print(line = '') {
+  process.stdout.write(`${line}\n`);
+}
+
+function format(value) {
+  return value === undefined ? '(missing)' : JSON.stringify(value);
+}
+
+/**
+ * Evaluate with the pipeline's console logging muted (the filter logs every decision)
+ */
+function quietly(fn) {
+  if (verbose) return fn();
+
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+function main() {
+  // Loading the filter logs the rule set in use
+  const { evaluateFixture, diffResults, loadFixtures, writeFixture } = quietly(() => require('./lib/fixtures'));
+  const fixtures = loadFixtures()
+    .filter(fixture => only.length === 0 || only.includes(fixture.name));
+
+  if (fixtures.length === 0) {
+    print('No fixtures found');
+    return 1;
+  }
+
+  let changed = 0;
+
+  for (const fixture of fixtures) {
+    let actual;
+    try {
+      actual = quietly(() => evaluateFixture(fixture));
+    } catch (evaluationError) {
+      actual = { error: evaluationError.message };
+    }
+
+    const differences = diffResults(fixture.expected || {}, actual);
+    if (differences.length === 0) {
+      print(`  ok  ${fixture.name}`);
+      continue;
+    }
+
+    changed++;
+    print(`  ${update ? 'upd' : 'DIFF'} ${fixture.name}`);
+    for (const difference of differences) {
+      print(`        ${difference.path}: ${format(difference.expected)} -> ${format(difference.actual)}`);
+    }
+
+    if (update) {
+      writeFixture({ ...fixture, expected: actual });
+    }
+  }
+
+  print();
+  print(`${fixtures.length} fixtures, ${changed} ${update ? 'updated' : 'changed'}`);
+  return changed > 0 && !update ? 1 : 0;
+}
+
+process.exitCode = main();